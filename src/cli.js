@@ -21,6 +21,11 @@ import { bulkCommand } from './commands/bulk.js';
 import { listCommand } from './commands/list.js';
 import { copyCommand } from './commands/copy.js';
 import { deleteCommand } from './commands/delete.js';
+import { diffCommand } from './commands/diff.js';
+import { planCommand } from './commands/plan.js';
+import { applyCommand } from './commands/apply.js';
+import { snapshotCommand } from './commands/snapshot.js';
+import { restoreCommand } from './commands/restore.js';
 import { createConfigCommand } from './commands/config.js';
 
 const program = new Command();
@@ -37,13 +42,26 @@ program
   .option('--dry-run', 'Preview changes without executing')
   .option('--verbose', 'Detailed logging output')
   .option('--config <path>', 'Custom config file location')
-  .option('--log <path>', 'Custom log file location');
+  .option('--log <path>', 'Custom log file location')
+  .option(
+    '--bulk-export',
+    'Fetch metaobject entries with Shopify bulk operations (large entry sets)'
+  )
+  .option(
+    '--bulk-import',
+    'Write copied metaobject entries with Shopify bulk operations (needs --on-conflict update, skip or fail)'
+  );
 
 // Add commands
 program.addCommand(bulkCommand);
 program.addCommand(listCommand);
 program.addCommand(copyCommand);
 program.addCommand(deleteCommand);
+program.addCommand(diffCommand);
+program.addCommand(planCommand);
+program.addCommand(applyCommand);
+program.addCommand(snapshotCommand);
+program.addCommand(restoreCommand);
 program.addCommand(createConfigCommand());
 
 // Parse arguments
@@ -0,0 +1,109 @@
+import { Command } from 'commander';
+import { CommandHandler } from '../utils/command-base.js';
+import {
+  COMMON_OPTIONS,
+  createCommandAction,
+} from '../utils/command-options.js';
+import { ConfirmationPrompt } from '../utils/confirmation.js';
+import { SyncPlan } from '../utils/sync-plan.js';
+
+class ApplyCommand extends CommandHandler {
+  async execute(options) {
+    const { planFile, yes } = options;
+
+    const plan = SyncPlan.read(planFile);
+    const store = plan.target.store;
+
+    const startTime = this.logger.startOperation('Apply Plan', {
+      planFile,
+      store,
+      createdAt: plan.createdAt,
+      operations: plan.operations.length,
+      dryRun: this.globalOpts.dryRun,
+    });
+
+    const { manager } = this.createClients(store);
+
+    if (plan.operations.length === 0) {
+      this.logger.info('Plan contains no operations - nothing to apply');
+      return;
+    }
+
+    const destructive = plan.operations.filter((op) => op.destructive);
+    const countFor = (resource) =>
+      plan.operations.filter((op) => op.resource === resource).length;
+
+    this.logger.info(
+      `Plan created ${plan.createdAt} from ${plan.source.store} to ${store}:`
+    );
+    plan.operations.forEach((operation, index) => {
+      this.logger.info(
+        `  ${index + 1}. ${operation.action} ${operation.resource} ${
+          operation.identifier
+        }${operation.destructive ? ' (DESTRUCTIVE)' : ''}`
+      );
+    });
+
+    if (this.globalOpts.dryRun) {
+      this.logger.dryRunInfo('DRY RUN - No operations will be applied');
+      return;
+    }
+
+    const details = [`Plan file: ${planFile}`];
+    if (destructive.length > 0) {
+      details.push(
+        `${destructive.length} operations delete existing values: ${destructive
+          .map((op) => `${op.resource} ${op.identifier}`)
+          .join(', ')}`
+      );
+    }
+
+    const confirmed = await ConfirmationPrompt.confirm({
+      operation: 'Apply Plan',
+      target: `${store} store`,
+      impact: {
+        metafields: countFor('metafield'),
+        metaobjects: countFor('metaobject'),
+      },
+      details,
+      skipConfirmation: yes,
+    });
+
+    if (!confirmed) {
+      this.logger.info('Operation cancelled by user.');
+      return;
+    }
+
+    const results = await manager.applySyncPlan(plan);
+
+    this.logger.endOperation('Apply Plan', startTime, {
+      applied: results.applied,
+      total: plan.operations.length,
+      failed: results.failed
+        ? `${results.failed.operation.resource} ${results.failed.operation.identifier}`
+        : null,
+    });
+
+    if (results.failed) {
+      throw new Error(
+        `Apply stopped at operation ${results.failed.index + 1} of ${
+          plan.operations.length
+        }: ${results.failed.error}`
+      );
+    }
+  }
+}
+
+const applyCommand = COMMON_OPTIONS.withConfirmationSkip(
+  new Command('apply')
+    .description(
+      'Apply a plan file created by the plan command, exactly as written'
+    )
+    .argument('<plan-file>', 'Plan file created by the plan command')
+).action(
+  // Commander passes positional arguments before options
+  (planFile, options, command) =>
+    createCommandAction(ApplyCommand)({ ...options, planFile }, command)
+);
+
+export { applyCommand, ApplyCommand };
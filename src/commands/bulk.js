@@ -3,28 +3,94 @@ import { CommandHandler } from '../utils/command-base.js';
 import {
   COMMON_OPTIONS,
   createCommandAction,
+  OPTION_DESCRIPTIONS,
 } from '../utils/command-options.js';
+import { ManifestParser } from '../utils/manifest.js';
+import {
+  filterDefinitionsByResourceType,
+  isReservedMetafieldNamespace,
+  isReservedMetaobjectType,
+} from '../utils/constants.js';
+import {
+  validateBulkImportStrategy,
+  validateConflictStrategy,
+} from '../utils/entry-conflict.js';
 import { DeleteCommand } from './delete.js';
 import { CopyCommand } from './copy.js';
 
+/**
+ * Definitions a bulk step selects in a store: those listed in the manifest,
+ * or all of them, filtered by resource type and without reserved definitions
+ */
+function selectDefinitions(definitions, { manifest, resources }) {
+  let selected = filterDefinitionsByResourceType(definitions, resources);
+
+  if (manifest) {
+    selected = ManifestParser.findMatchingDefinitions(
+      ManifestParser.parseFile(manifest),
+      selected
+    );
+  }
+
+  return {
+    metafields: selected.metafields.filter(
+      (def) => !isReservedMetafieldNamespace(def.namespace)
+    ),
+    metaobjects: selected.metaobjects.filter(
+      (def) => !isReservedMetaobjectType(def.type)
+    ),
+  };
+}
+
 class BulkCommand extends CommandHandler {
   async execute(options) {
-    const { from, to, resources, includeEntries, yes, manifest } = options;
+    const {
+      from,
+      fromFile,
+      to,
+      resources,
+      includeEntries,
+      yes,
+      manifest,
+      backup,
+      accessMap,
+      onConflict,
+    } = options;
+    validateConflictStrategy(onConflict);
+    // Checked before the delete step, which the copy step would otherwise follow
+    if (this.globalOpts.bulkImport && includeEntries) {
+      validateBulkImportStrategy(onConflict);
+    }
+
+    // Fail before deleting anything if the source is missing or unreadable
+    this.createSourceManager({ from, fromFile });
+    const source = from || `snapshot ${fromFile}`;
 
     const startTime = this.logger.startOperation('Bulk Sync', {
       from,
+      fromFile,
       to,
       resources,
       includeEntries,
       manifest,
+      onConflict,
       dryRun: this.globalOpts.dryRun,
     });
 
     this.logger.info('Starting bulk operation: delete followed by copy');
-    this.logger.info(`Source store: ${from}`);
+    this.logger.info(`Source: ${source}`);
     this.logger.info(`Target store: ${to}`);
 
     try {
+      // Fail before deleting anything if the copy could not resolve references
+      await this.checkReferencesBeforeDelete({
+        from,
+        fromFile,
+        to,
+        manifest,
+        resources,
+      });
+
       // Step 1: Execute delete command on target store
       this.logger.info(
         `Step 1: Deleting definitions from target store (${to})...`
@@ -37,6 +103,7 @@ class BulkCommand extends CommandHandler {
         includeEntries,
         yes,
         manifest,
+        backup,
       };
 
       try {
@@ -54,17 +121,21 @@ class BulkCommand extends CommandHandler {
 
       // Step 2: Execute copy command from source to target
       this.logger.info(
-        `Step 2: Copying definitions from source (${from}) to target (${to})...`
+        `Step 2: Copying definitions from source (${source}) to target (${to})...`
       );
       const copyCommand = new CopyCommand(this.globalOpts);
 
       const copyOptions = {
         from,
+        fromFile,
         to,
         resources,
         includeEntries,
         yes,
         manifest,
+        backup,
+        accessMap,
+        onConflict,
       };
 
       try {
@@ -94,17 +165,66 @@ class BulkCommand extends CommandHandler {
       throw error;
     }
   }
+
+  /**
+   * Check that every metaobject definition referenced by the definitions to
+   * copy will exist once the delete step has run: either copied along or left
+   * in the target store
+   */
+  async checkReferencesBeforeDelete({
+    from,
+    fromFile,
+    to,
+    manifest,
+    resources,
+  }) {
+    const { manager: sourceManager } = this.createSourceManager({
+      from,
+      fromFile,
+    });
+    const { manager: targetManager } = this.createClients(to);
+
+    const sourceDefinitions = await sourceManager.getAllDefinitions();
+    const targetDefinitions = await targetManager.getAllDefinitions();
+    const selection = { manifest, resources };
+
+    const deletedTypes = new Set(
+      selectDefinitions(targetDefinitions, selection).metaobjects.map(
+        (def) => def.type
+      )
+    );
+    const remaining = targetDefinitions.metaobjects.filter(
+      (def) => !deletedTypes.has(def.type)
+    );
+
+    targetManager.assertReferencesResolvable(
+      selectDefinitions(sourceDefinitions, selection),
+      sourceDefinitions,
+      new Set(remaining.map((def) => def.type)),
+      new Set(remaining.map((def) => def.id))
+    );
+  }
 }
 
 // Create command with standardized options
 const bulkCommand = COMMON_OPTIONS.withStandardOptions(
-  COMMON_OPTIONS.withManifest(
-    new Command('bulk')
-      .description(
-        'Delete all definitions from target store and copy all from source store (executes delete then copy commands)'
+  COMMON_OPTIONS.withConflictStrategy(
+    COMMON_OPTIONS.withAccessMap(
+      COMMON_OPTIONS.withBackup(
+        COMMON_OPTIONS.withManifest(
+          new Command('bulk')
+            .description(
+              'Delete all definitions from target store and copy all from source store (executes delete then copy commands)'
+            )
+            .option('--from <store>', 'Source store name (e.g., staging)')
+            .option('--from-file <snapshot>', OPTION_DESCRIPTIONS.FROM_FILE)
+            .requiredOption(
+              '--to <store>',
+              'Target store name (e.g., production)'
+            )
+        )
       )
-      .requiredOption('--from <store>', 'Source store name (e.g., staging)')
-      .requiredOption('--to <store>', 'Target store name (e.g., production)')
+    )
   )
 ).action(createCommandAction(BulkCommand));
 
@@ -47,6 +47,11 @@ export function createConfigCommand() {
         console.log(`  Retry attempts: ${defaults.retryAttempts}`);
         console.log(`  Batch size: ${defaults.batchSize}`);
         console.log(`  Concurrency: ${defaults.concurrency}`);
+        console.log(`  Backup directory: ${defaults.backupDir}`);
+        console.log(`  Cache directory: ${defaults.cacheDir}`);
+        console.log(
+          `  Entry index threshold: ${defaults.entryIndexThreshold} entries`
+        );
 
         // Display store details
         console.log('\n🏪 Store Details:');
@@ -3,68 +3,112 @@ import { CommandHandler } from '../utils/command-base.js';
 import {
   COMMON_OPTIONS,
   createCommandAction,
+  OPTION_DESCRIPTIONS,
 } from '../utils/command-options.js';
-import { ManifestParser } from '../utils/manifest.js';
-import { EntryConflictResolver } from '../utils/entry-conflict.js';
-import { validateStoreNames, createShopifyClient } from '../utils/config.js';
-import { DefinitionManager } from '../managers/definition.js';
+import {
+  EntryConflictResolver,
+  validateBulkImportStrategy,
+  validateConflictStrategy,
+} from '../utils/entry-conflict.js';
+import { ENTRY_CONFLICT_STRATEGIES } from '../utils/constants.js';
+import { FileCache, FileCopier } from '../utils/file-copy.js';
+import { Watermarks } from '../utils/watermarks.js';
+import { ConfirmationPrompt } from '../utils/confirmation.js';
+import { BulkOperationRunner } from '../shopify/bulk-operations.js';
 
 class CopyCommand extends CommandHandler {
   async execute(options) {
-    const { from, to, manifest, resources, includeEntries } = options;
+    const {
+      from,
+      fromFile,
+      to,
+      manifest,
+      resources,
+      includeEntries,
+      allowRecreate,
+      backup,
+      accessMap,
+      onConflict,
+      incremental,
+      full,
+      pruneEntries,
+      yes,
+    } = options;
+    validateConflictStrategy(onConflict);
+    if (this.globalOpts.bulkImport && includeEntries) {
+      validateBulkImportStrategy(onConflict);
+    }
+
+    // Watermarks are read by --incremental and rebuilt by --full
+    const trackWatermarks = incremental || full;
+    if (trackWatermarks && !includeEntries) {
+      throw new Error(
+        '--incremental and --full apply to entry copies: add --include-entries'
+      );
+    }
+    if (trackWatermarks && fromFile) {
+      throw new Error(
+        '--incremental and --full need a live source store (--from), not a snapshot'
+      );
+    }
+    if (pruneEntries && !includeEntries) {
+      throw new Error('--prune-entries needs --include-entries');
+    }
+    if (pruneEntries && incremental && !full) {
+      throw new Error(
+        '--prune-entries needs every source entry: use it without --incremental, or with --full'
+      );
+    }
 
     const startTime = this.logger.startOperation('Copy Definitions', {
       from,
+      fromFile,
       to,
       manifest,
       resources,
       includeEntries,
+      allowRecreate,
+      onConflict,
+      incremental,
+      full,
+      pruneEntries,
       dryRun: this.globalOpts.dryRun,
     });
 
-    // Create clients for both stores
-    validateStoreNames([from, to]);
-    const sourceClient = createShopifyClient(from);
-    const targetClient = createShopifyClient(to);
-    const sourceManager = new DefinitionManager(sourceClient, this.logger);
-    const targetManager = new DefinitionManager(targetClient, this.logger);
+    // Create managers for the source (store or snapshot) and the target store
+    const { manager: sourceManager } = this.createSourceManager({
+      from,
+      fromFile,
+    });
+    const { client: targetClient, manager: targetManager } =
+      this.createClients(to);
+    this.warnOnApiVersionMismatch(sourceManager, targetManager);
+    this.applyAccessPolicy(targetManager, accessMap);
+
+    const watermarks = trackWatermarks
+      ? Watermarks.open(
+          sourceManager.client.domain,
+          targetClient.domain,
+          this.getDefaults().cacheDir,
+          this.logger
+        )
+      : null;
+    // Entries are fetched once definitions are selected when watermarks or
+    // pruning need to know which types were fetched completely
+    const fetchEntries = includeEntries && !trackWatermarks && !pruneEntries;
 
     let definitionsToCopy;
 
     if (manifest) {
       // Manifest-based copying
-      this.logger.info(`Parsing manifest file: ${manifest}`);
-      const manifestDefs = ManifestParser.parseFile(manifest);
-
-      const sourceDefinitions = await this.fetchAndFilterDefinitions(
+      definitionsToCopy = await this.selectManifestDefinitions(
         sourceManager,
-        {
-          includeEntries,
-          resources,
-        }
+        manifest,
+        { includeEntries: fetchEntries, resources }
       );
 
-      const matches = ManifestParser.findMatchingDefinitions(
-        manifestDefs,
-        sourceDefinitions
-      );
-
-      if (matches.notFound.length > 0) {
-        this.logger.warning(
-          'Some definitions from manifest were not found in source store:'
-        );
-        matches.notFound.forEach((def) => {
-          this.logger.warning(`  - ${def.type}: ${def.identifier}`);
-        });
-      }
-
-      definitionsToCopy = {
-        metafields: matches.metafields,
-        metaobjects: matches.metaobjects,
-      };
-
       // If entries are requested, fetch them for the matching metaobject definitions
-      if (includeEntries && definitionsToCopy.metaobjects.length > 0) {
+      if (fetchEntries && definitionsToCopy.metaobjects.length > 0) {
         this.logger.verbose(
           'Fetching entries for manifest-defined metaobjects...'
         );
@@ -90,7 +134,7 @@ class CopyCommand extends CommandHandler {
         `Will copy ALL definitions (filtered by resource type):`
       );
       definitionsToCopy = await this.fetchAndFilterDefinitions(sourceManager, {
-        includeEntries,
+        includeEntries: fetchEntries,
         resources,
       });
     }
@@ -102,6 +146,14 @@ class CopyCommand extends CommandHandler {
       { operation: 'copy' }
     );
 
+    const { failed: failedFetches, startedAt: fetchStarts } =
+      includeEntries && !fetchEntries
+        ? await this.fetchSourceEntries(sourceManager, definitionsToCopy, {
+            watermarks,
+            full,
+          })
+        : { failed: new Set(), startedAt: new Map() };
+
     // Check for conflicts in target store
     this.logger.info(
       `Checking for existing definitions in target store (${to})...`
@@ -116,7 +168,10 @@ class CopyCommand extends CommandHandler {
     // Check metafield conflicts
     for (const def of definitionsToCopy.metafields) {
       const existing = targetDefinitions.metafields.find(
-        (target) => target.namespace === def.namespace && target.key === def.key
+        (target) =>
+          target.ownerType === def.ownerType &&
+          target.namespace === def.namespace &&
+          target.key === def.key
       );
       if (existing) {
         conflicts.metafields.push({ source: def, target: existing });
@@ -149,8 +204,13 @@ class CopyCommand extends CommandHandler {
         this.logger.warning(`  - Metaobject: ${conflict.source.type}`);
       });
 
-      if (!this.globalOpts.dryRun) {
-        this.logger.warning('Existing definitions will be OVERWRITTEN!');
+      this.logger.info(
+        'Conflicting definitions will be updated in place, keeping their metafield values and entries'
+      );
+      if (allowRecreate) {
+        this.logger.warning(
+          'Definitions with changes that cannot be applied in place will be deleted and recreated (--allow-recreate)'
+        );
       }
     }
 
@@ -161,55 +221,117 @@ class CopyCommand extends CommandHandler {
       verbose: this.logger.isVerbose,
     });
 
+    // Abort before writing anything if entries would conflict
+    if (
+      includeEntries &&
+      onConflict === ENTRY_CONFLICT_STRATEGIES.FAIL &&
+      definitionsToCopy.metaobjects.length > 0
+    ) {
+      await targetManager.assertNoEntryConflicts(
+        definitionsToCopy,
+        this.getDefaults().entryIndexThreshold
+      );
+    }
+
     if (this.globalOpts.dryRun) {
       this.logger.dryRunInfo('DRY RUN - No actual changes will be made');
+      await targetManager.copyDefinitionsWithDependencies(
+        definitionsToCopy,
+        true,
+        sourceManager,
+        { allowRecreate }
+      );
+      this.reportAccessDowngrades(targetManager);
+      if (pruneEntries) {
+        await this.pruneTargetEntries(targetManager, definitionsToCopy, {
+          failedFetches,
+          targetDefinitions,
+          to,
+          yes,
+          backup,
+        });
+      }
       return;
     }
 
-    // Delete conflicting definitions from target first
-    if (totalConflicts > 0) {
-      this.logger.info('Removing conflicting definitions from target store...');
-      const conflictingDefinitions = {
-        metafields: conflicts.metafields.map((c) => c.target),
-        metaobjects: conflicts.metaobjects.map((c) => c.target),
-      };
-
-      const deleteResults = await targetManager.deleteDefinitions(
-        conflictingDefinitions
-      );
-      this.logger.info('Deleted conflicting definitions:', {
-        metafields: deleteResults.metafields.success,
-        metaobjects: deleteResults.metaobjects.success,
-        errors:
-          deleteResults.metafields.errors.length +
-          deleteResults.metaobjects.errors.length,
-      });
-    }
+    // Back up conflicting definitions the copy could lose data from
+    await this.backupBeforeDestructiveOperation(
+      targetManager,
+      targetManager.findDestructiveConflicts(conflicts, {
+        allowRecreate,
+        includeEntries,
+      }),
+      { store: to, operation: 'copy', backup }
+    );
 
-    // Copy definitions to target
+    // Copy definitions to target, updating conflicting ones in place
     this.logger.info('Copying definitions to target store...');
     const copyResults = await targetManager.copyDefinitionsWithDependencies(
       definitionsToCopy,
       false, // dryRun = false
-      sourceManager // pass source manager for reference resolution
+      sourceManager, // pass source manager for reference resolution
+      { allowRecreate }
     );
+    this.reportPatchedFields(copyResults);
+    this.reportAccessDowngrades(targetManager);
 
     // Handle entries if requested
-    let entryCopyResults = { success: 0, errors: [], skipped: 0 };
+    let entryCopyResults = {
+      success: 0,
+      errors: [],
+      skipped: 0,
+      unchanged: 0,
+      unresolved: [],
+    };
     if (includeEntries && definitionsToCopy.metaobjects.length > 0) {
       this.logger.info('Copying metaobject entries...');
 
       const entryConflictResolver = new EntryConflictResolver(
         this.logger,
-        this.globalOpts.dryRun
+        this.globalOpts.dryRun,
+        onConflict
       );
 
+      const fileCopier = new FileCopier(targetClient, this.logger, {
+        cache: FileCache.open(
+          targetClient.domain,
+          this.getDefaults().cacheDir,
+          this.logger
+        ),
+        dryRun: this.globalOpts.dryRun,
+      });
+
       entryCopyResults = await targetManager.copyMetaobjectEntries(
         definitionsToCopy,
         entryConflictResolver,
-        this.globalOpts.dryRun
+        this.globalOpts.dryRun,
+        sourceManager,
+        {
+          fileCopier,
+          indexThreshold: this.getDefaults().entryIndexThreshold,
+          bulkOperations: this.globalOpts.bulkImport
+            ? new BulkOperationRunner(targetClient, this.logger)
+            : null,
+        }
       );
 
+      if (fileCopier.uploaded.length > 0 || fileCopier.reused.length > 0) {
+        this.logger.info(
+          `Files: ${fileCopier.uploaded.length} uploaded, ${fileCopier.reused.length} reused from the target store`
+        );
+      }
+
+      if (entryCopyResults.unresolved.length > 0) {
+        this.logger.warning(
+          `Left out ${entryCopyResults.unresolved.length} entry references that could not be resolved:`
+        );
+        entryCopyResults.unresolved.forEach((unresolved) => {
+          this.logger.warning(
+            `  - ${unresolved.identifier} field ${unresolved.field}: ${unresolved.reference} (${unresolved.reason})`
+          );
+        });
+      }
+
       if (entryCopyResults.errors.length > 0) {
         this.logger.warning(
           `Entry copy completed with ${entryCopyResults.errors.length} errors.`
@@ -227,11 +349,35 @@ class CopyCommand extends CommandHandler {
         );
       }
 
+      if (entryCopyResults.unchanged > 0) {
+        this.logger.info(
+          `${entryCopyResults.unchanged} entries were already up to date`
+        );
+      }
+
       if (entryCopyResults.skipped > 0) {
         this.logger.info(
           `Skipped ${entryCopyResults.skipped} entries due to conflicts`
         );
       }
+
+      if (watermarks && !entryCopyResults.cancelled) {
+        this.recordWatermarks(watermarks, definitionsToCopy, entryCopyResults, {
+          full,
+          failedFetches,
+          fetchStarts,
+        });
+      }
+    }
+
+    // Prune once every source entry has been copied
+    let pruneResults = { success: 0, errors: [] };
+    if (pruneEntries && !entryCopyResults.cancelled) {
+      pruneResults = await this.pruneTargetEntries(
+        targetManager,
+        definitionsToCopy,
+        { failedFetches, targetDefinitions, to, yes, backup }
+      );
     }
 
     // Summary
@@ -240,7 +386,8 @@ class CopyCommand extends CommandHandler {
     const totalErrors =
       copyResults.metafields.errors.length +
       copyResults.metaobjects.errors.length +
-      entryCopyResults.errors.length;
+      entryCopyResults.errors.length +
+      pruneResults.errors.length;
 
     this.logger.endOperation('Copy Definitions', startTime, {
       copied: {
@@ -249,6 +396,17 @@ class CopyCommand extends CommandHandler {
         entries: entryCopyResults.success,
         total: totalSuccess,
       },
+      prunedEntries: pruneResults.success,
+      updatedInPlace:
+        copyResults.metafields.update + copyResults.metaobjects.update,
+      recreated:
+        copyResults.metafields.recreate + copyResults.metaobjects.recreate,
+      unchanged:
+        copyResults.metafields.unchanged + copyResults.metaobjects.unchanged,
+      patchedFields: copyResults.metaobjects.patched.reduce(
+        (sum, patch) => sum + patch.fields.length,
+        0
+      ),
       errors: totalErrors,
     });
 
@@ -258,15 +416,196 @@ class CopyCommand extends CommandHandler {
       );
     }
   }
+
+  /**
+   * Fetch the source entries to copy: those updated since the watermark of
+   * their type when watermarks are given, otherwise (and with --full, or for
+   * types without a watermark) all of them
+   * @param {Object} options - { watermarks, full }
+   * @returns {Object} - { failed, startedAt }: types whose entries could not
+   *   be fetched, and when the fetch of each type started
+   */
+  async fetchSourceEntries(sourceManager, definitions, options = {}) {
+    const { watermarks = null, full = false } = options;
+    const failed = new Set();
+    const startedAt = new Map();
+
+    for (const def of definitions.metaobjects) {
+      const updatedSince =
+        watermarks && !full ? watermarks.get(def.type) : null;
+      // Whole seconds, in the format of Shopify's updatedAt
+      startedAt.set(def.type, new Date().toISOString().replace(/\.\d+Z$/, 'Z'));
+
+      try {
+        def.entries = await sourceManager.getMetaobjectEntries(def.type, {
+          updatedSince,
+          throwOnError: true,
+        });
+      } catch (error) {
+        this.logger.warning(
+          `Failed to fetch entries for ${def.type}: ${error.message}`
+        );
+        def.entries = [];
+        failed.add(def.type);
+        continue;
+      }
+
+      this.logger.info(
+        updatedSince
+          ? `${def.entries.length} ${def.type} entries updated since ${updatedSince}`
+          : `Fetched all ${def.entries.length} ${def.type} entries${
+              watermarks && !full ? ' (no watermark yet)' : ''
+            }`
+      );
+    }
+
+    return { failed, startedAt };
+  }
+
+  /**
+   * Advance the watermark of each type whose entries were all fetched and
+   * copied without errors or unresolved references, so those are retried by
+   * the next incremental copy; --full discards the previous watermarks first
+   */
+  recordWatermarks(watermarks, definitions, results, options) {
+    const { full, failedFetches, fetchStarts } = options;
+    const typeOf = (identifier) => identifier.split('/')[0];
+    const failedTypes = new Set([
+      ...failedFetches,
+      ...results.errors.map((error) => typeOf(error.identifier)),
+    ]);
+    const unresolvedTypes = new Set(
+      results.unresolved.map((unresolved) => typeOf(unresolved.identifier))
+    );
+
+    for (const def of definitions.metaobjects) {
+      if (full) {
+        watermarks.reset(def.type);
+      }
+      if (failedTypes.has(def.type)) {
+        this.logger.warning(
+          `Watermark of ${def.type} not advanced: its entries did not all copy`
+        );
+        continue;
+      }
+      if (unresolvedTypes.has(def.type)) {
+        this.logger.warning(
+          `Watermark of ${def.type} not advanced: some of its entry references could not be resolved`
+        );
+        continue;
+      }
+      watermarks.advance(
+        def.type,
+        def.entries || [],
+        fetchStarts.get(def.type)
+      );
+    }
+
+    watermarks.save();
+  }
+
+  /**
+   * Delete target entries whose handles are missing from the source: list
+   * every one of them, then confirm and back up before deleting. Types whose
+   * source entries could not all be fetched are left alone.
+   * @param {Object} options - { failedFetches, targetDefinitions, to, yes, backup }
+   * @returns {Object} - { success, errors }
+   */
+  async pruneTargetEntries(targetManager, definitions, options) {
+    const { failedFetches, targetDefinitions, to, yes, backup } = options;
+    const results = { success: 0, errors: [] };
+
+    failedFetches.forEach((type) => {
+      this.logger.warning(
+        `Not pruning ${type}: its source entries could not be fetched`
+      );
+    });
+    // Types created by this copy hold only source entries
+    const targetTypes = new Set(
+      targetDefinitions.metaobjects.map((def) => def.type)
+    );
+    const entries = await targetManager.findEntriesMissingFromSource({
+      metaobjects: definitions.metaobjects.filter(
+        (def) => targetTypes.has(def.type) && !failedFetches.has(def.type)
+      ),
+    });
+
+    if (entries.length === 0) {
+      this.logger.info('No target entries are missing from the source');
+      return results;
+    }
+
+    this.logger.warning(
+      `${this.globalOpts.dryRun ? 'Would prune' : 'Pruning'} ${
+        entries.length
+      } target entries missing from the source:`
+    );
+    entries.forEach((entry) => {
+      this.logger.warning(`  - ${entry.type}/${entry.handle}`);
+    });
+
+    if (this.globalOpts.dryRun) {
+      return results;
+    }
+
+    const types = new Set(entries.map((entry) => entry.type));
+    const confirmed = await ConfirmationPrompt.confirm({
+      operation: 'Prune Entries',
+      target: `${to} store`,
+      impact: { metaobjects: types.size },
+      details: [
+        `${entries.length} metaobject entries missing from the source will be deleted`,
+      ],
+      skipConfirmation: yes,
+    });
+
+    if (!confirmed) {
+      this.logger.info('Pruning cancelled by user.');
+      return results;
+    }
+
+    await this.backupBeforeDestructiveOperation(
+      targetManager,
+      {
+        metafields: [],
+        metaobjects: targetDefinitions.metaobjects.filter((def) =>
+          types.has(def.type)
+        ),
+      },
+      { store: to, operation: 'prune', backup }
+    );
+
+    const pruneResults = await targetManager.pruneMetaobjectEntries(entries);
+    pruneResults.errors.forEach((error) => {
+      this.logger.error(`Prune error - ${error.identifier}: ${error.error}`);
+    });
+    if (pruneResults.success > 0) {
+      this.logger.success(`Pruned ${pruneResults.success} entries`);
+    }
+    return pruneResults;
+  }
 }
 
 // Create command with standardized options
 const copyCommand = COMMON_OPTIONS.withStandardOptions(
-  COMMON_OPTIONS.withManifest(
-    new Command('copy')
-      .description('Copy metafield and metaobject definitions between stores')
-      .requiredOption('--from <store>', 'Source store name')
-      .requiredOption('--to <store>', 'Target store name')
+  COMMON_OPTIONS.withConflictStrategy(
+    COMMON_OPTIONS.withAccessMap(
+      COMMON_OPTIONS.withBackup(
+        COMMON_OPTIONS.withManifest(
+          new Command('copy')
+            .description(
+              'Copy metafield and metaobject definitions between stores'
+            )
+            .option('--from <store>', 'Source store name')
+            .option('--from-file <snapshot>', OPTION_DESCRIPTIONS.FROM_FILE)
+            .requiredOption('--to <store>', 'Target store name')
+            .option('--allow-recreate', OPTION_DESCRIPTIONS.ALLOW_RECREATE)
+            .option('--incremental', OPTION_DESCRIPTIONS.INCREMENTAL)
+            .option('--full', OPTION_DESCRIPTIONS.FULL)
+            .option('--prune-entries', OPTION_DESCRIPTIONS.PRUNE_ENTRIES)
+        )
+      )
+    )
   )
 ).action(createCommandAction(CopyCommand));
 
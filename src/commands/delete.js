@@ -9,7 +9,7 @@ import { ConfirmationPrompt } from '../utils/confirmation.js';
 
 class DeleteCommand extends CommandHandler {
   async execute(options) {
-    const { store, manifest, resources, includeEntries } = options;
+    const { store, manifest, resources, includeEntries, backup } = options;
 
     const startTime = this.logger.startOperation('Delete Definitions', {
       store,
@@ -139,6 +139,13 @@ class DeleteCommand extends CommandHandler {
       return;
     }
 
+    // Deleting a definition also deletes its entries and metafield values
+    await this.backupBeforeDestructiveOperation(manager, definitionsToDelete, {
+      store,
+      operation: 'delete',
+      backup,
+    });
+
     // Perform deletions
     this.logger.info('Deleting definitions...');
 
@@ -187,10 +194,12 @@ class DeleteCommand extends CommandHandler {
 }
 
 const deleteCommand = COMMON_OPTIONS.withStandardOptions(
-  COMMON_OPTIONS.withManifest(
-    new Command('delete')
-      .description('Delete metafield and metaobject definitions from a store')
-      .requiredOption('--store <store>', 'Target store name')
+  COMMON_OPTIONS.withBackup(
+    COMMON_OPTIONS.withManifest(
+      new Command('delete')
+        .description('Delete metafield and metaobject definitions from a store')
+        .requiredOption('--store <store>', 'Target store name')
+    )
   )
 ).action(createCommandAction(DeleteCommand));
 
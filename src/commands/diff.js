@@ -0,0 +1,81 @@
+import { Command } from 'commander';
+import { writeFileSync } from 'fs';
+import { CommandHandler } from '../utils/command-base.js';
+import {
+  COMMON_OPTIONS,
+  createCommandAction,
+} from '../utils/command-options.js';
+import { DefinitionDiff } from '../utils/definition-diff.js';
+
+class DiffCommand extends CommandHandler {
+  async execute(options) {
+    const { from, to, resources, includeEntries, output } = options;
+
+    const startTime = this.logger.startOperation('Diff Definitions', {
+      from,
+      to,
+      resources,
+      includeEntries,
+      outputFile: output,
+    });
+
+    const { manager: sourceManager } = this.createClients(from);
+    const { manager: targetManager } = this.createClients(to);
+    this.warnOnApiVersionMismatch(sourceManager, targetManager);
+
+    // Fetch everything unfiltered: reference validations need the complete
+    // metaobject list on each side to be compared by type
+    this.logger.info(`Fetching definitions from source store (${from})...`);
+    const sourceDefinitions = includeEntries
+      ? await sourceManager.getAllDefinitionsWithEntries(true)
+      : await sourceManager.getAllDefinitions();
+
+    this.logger.info(`Fetching definitions from target store (${to})...`);
+    const targetDefinitions = includeEntries
+      ? await targetManager.getAllDefinitionsWithEntries(true)
+      : await targetManager.getAllDefinitions();
+
+    const diff = DefinitionDiff.compare(sourceDefinitions, targetDefinitions, {
+      includeEntries,
+      resources,
+    });
+
+    const report = DefinitionDiff.toMarkdown(diff, { from, to });
+
+    if (output) {
+      writeFileSync(output, report);
+      this.logger.success(`Diff exported to ${output}`);
+    } else {
+      console.log(report);
+    }
+
+    const differences = DefinitionDiff.countDifferences(diff);
+
+    this.logger.endOperation('Diff Definitions', startTime, {
+      differences,
+    });
+
+    if (diff.hasDifferences) {
+      this.logger.warning(`Found ${differences} differences between stores`);
+      // Non-zero exit code so the diff can gate deploys
+      process.exitCode = 1;
+    } else {
+      this.logger.success('Stores are in sync');
+    }
+  }
+}
+
+const diffCommand = COMMON_OPTIONS.withResourceFilter(
+  COMMON_OPTIONS.withEntries(
+    COMMON_OPTIONS.withOutput(
+      new Command('diff')
+        .description(
+          'Compare metafield and metaobject definitions between two stores (exits with code 1 when they differ)'
+        )
+        .requiredOption('--from <store>', 'Source store name (e.g., staging)')
+        .requiredOption('--to <store>', 'Target store name (e.g., production)')
+    )
+  )
+).action(createCommandAction(DiffCommand));
+
+export { diffCommand, DiffCommand };
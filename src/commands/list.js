@@ -12,6 +12,7 @@ import {
   filterDefinitionsByResourceType,
   RESOURCE_TYPES,
 } from '../utils/constants.js';
+import { getEnabledCapabilities } from '../utils/definition-changes.js';
 
 class ListCommand extends CommandHandler {
   async execute(options) {
@@ -114,6 +115,10 @@ class ListCommand extends CommandHandler {
           report += `- **Description:** ${def.description}\n`;
         }
         report += `- **Access:** Admin=${def.access.admin}, Storefront=${def.access.storefront}\n`;
+        const capabilities = getEnabledCapabilities(def);
+        if (capabilities.length > 0) {
+          report += `- **Capabilities:** ${capabilities.join(', ')}\n`;
+        }
         if (def.validations && def.validations.length > 0) {
           report += `- **Validations:** ${def.validations
             .map((v) => `${v.name}=${v.value}`)
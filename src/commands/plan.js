@@ -0,0 +1,134 @@
+import { Command } from 'commander';
+import { CommandHandler } from '../utils/command-base.js';
+import {
+  COMMON_OPTIONS,
+  createCommandAction,
+  OPTION_DESCRIPTIONS,
+} from '../utils/command-options.js';
+import { SyncPlan, SYNC_PLAN_VERSION } from '../utils/sync-plan.js';
+
+class PlanCommand extends CommandHandler {
+  async execute(options) {
+    const { from, to, out, manifest, resources, allowRecreate, accessMap } =
+      options;
+
+    const startTime = this.logger.startOperation('Plan Definitions', {
+      from,
+      to,
+      out,
+      manifest,
+      resources,
+      allowRecreate,
+    });
+
+    const { manager: sourceManager } = this.createClients(from);
+    const { manager: targetManager } = this.createClients(to);
+    this.warnOnApiVersionMismatch(sourceManager, targetManager);
+    this.applyAccessPolicy(targetManager, accessMap);
+
+    let definitions = manifest
+      ? await this.selectManifestDefinitions(sourceManager, manifest, {
+          resources,
+        })
+      : await this.fetchAndFilterDefinitions(sourceManager, { resources });
+
+    definitions = await this.prepareDefinitionsForOperation(
+      sourceManager,
+      definitions,
+      { operation: 'plan' }
+    );
+
+    this.logger.info(`Computing operations against target store (${to})...`);
+    const { operations, skipped, droppedCapabilities, fingerprint } =
+      await targetManager.buildSyncPlan(definitions, sourceManager, {
+        allowRecreate,
+      });
+
+    const plan = {
+      version: SYNC_PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      source: { store: from },
+      target: { store: to, fingerprint },
+      options: {
+        resources,
+        manifest: manifest || null,
+        allowRecreate: !!allowRecreate,
+      },
+      operations,
+      skipped,
+      droppedCapabilities,
+      accessDowngrades: targetManager.accessPolicy.getDowngrades(),
+    };
+
+    SyncPlan.write(out, plan);
+
+    this.logPlan(plan);
+    this.logger.success(`Plan written to ${out}`);
+    this.reportAccessDowngrades(targetManager);
+
+    if (skipped.length > 0) {
+      this.logger.warning(
+        `${skipped.length} changes cannot be applied and are not part of the plan:`
+      );
+      skipped.forEach((item) => {
+        this.logger.warning(
+          `  - ${item.resource} ${item.identifier}: ${item.reason}`
+        );
+      });
+    }
+
+    if (droppedCapabilities.length > 0) {
+      this.logger.warning(
+        `${droppedCapabilities.length} capabilities the target is not eligible for are left out of the plan:`
+      );
+      droppedCapabilities.forEach((item) => {
+        this.logger.warning(
+          `  - ${item.resource} ${item.identifier}: ${item.capability}`
+        );
+      });
+    }
+
+    this.logger.endOperation('Plan Definitions', startTime, {
+      operations: operations.length,
+      skipped: skipped.length,
+      droppedCapabilities: droppedCapabilities.length,
+    });
+  }
+
+  logPlan(plan) {
+    if (plan.operations.length === 0) {
+      this.logger.info('No changes: target store is up to date');
+      return;
+    }
+
+    this.logger.info(`Plan contains ${plan.operations.length} operations:`);
+    plan.operations.forEach((operation, index) => {
+      const marker = operation.destructive ? ' (DESTRUCTIVE)' : '';
+      this.logger.info(
+        `  ${index + 1}. ${operation.action} ${operation.resource} ${
+          operation.identifier
+        }${marker}`
+      );
+      (operation.changes || []).forEach((change) => {
+        this.logger.info(`       - ${change}`);
+      });
+    });
+  }
+}
+
+const planCommand = COMMON_OPTIONS.withResourceFilter(
+  COMMON_OPTIONS.withAccessMap(
+    COMMON_OPTIONS.withManifest(
+      new Command('plan')
+        .description(
+          'Write the exact ordered list of operations a copy would perform to a plan file'
+        )
+        .requiredOption('--from <store>', 'Source store name (e.g., staging)')
+        .requiredOption('--to <store>', 'Target store name (e.g., production)')
+        .requiredOption('--out <file>', 'Plan file path (JSON format)')
+        .option('--allow-recreate', OPTION_DESCRIPTIONS.ALLOW_RECREATE)
+    )
+  )
+).action(createCommandAction(PlanCommand));
+
+export { planCommand, PlanCommand };
@@ -0,0 +1,122 @@
+import { Command } from 'commander';
+import { CommandHandler } from '../utils/command-base.js';
+import {
+  COMMON_OPTIONS,
+  createCommandAction,
+} from '../utils/command-options.js';
+import { ConfirmationPrompt } from '../utils/confirmation.js';
+import { Backup } from '../utils/backup.js';
+import { SnapshotClient } from '../shopify/snapshot-client.js';
+
+class RestoreCommand extends CommandHandler {
+  async execute(options) {
+    const { backupFile, to, yes } = options;
+
+    const backup = Backup.read(backupFile);
+    const store = to || backup.store;
+
+    if (!store) {
+      throw new Error('Backup does not name its store; pass --to <store>');
+    }
+
+    const startTime = this.logger.startOperation('Restore Backup', {
+      backupFile,
+      store,
+      operation: backup.operation,
+      createdAt: backup.createdAt,
+      dryRun: this.globalOpts.dryRun,
+    });
+
+    const sourceManager = this.createManager(new SnapshotClient(backupFile));
+    const { manager } = this.createClients(store);
+
+    this.logger.info(
+      `Backup taken ${backup.createdAt} before ${backup.operation} on ${backup.store}:`
+    );
+    this.logger.info(`  Metafields: ${backup.counts.metafields}`);
+    this.logger.info(`  Metaobjects: ${backup.counts.metaobjects}`);
+    this.logger.info(`  Entries: ${backup.counts.entries}`);
+    this.logger.info(`  Metafield values: ${backup.counts.metafieldValues}`);
+
+    if (store !== backup.store) {
+      this.logger.warning(
+        `Restoring into ${store}, not the backed-up store (${backup.store}): metafield values are matched by owner ID and will fail for owners that do not exist there`
+      );
+    }
+
+    if (this.globalOpts.dryRun) {
+      this.logger.dryRunInfo('DRY RUN - No actual changes will be made');
+      await manager.restoreBackup(backup, sourceManager, { dryRun: true });
+      return;
+    }
+
+    const confirmed = await ConfirmationPrompt.confirm({
+      operation: 'Restore Backup',
+      target: `${store} store`,
+      impact: {
+        metafields: backup.counts.metafields,
+        metaobjects: backup.counts.metaobjects,
+      },
+      details: [
+        `Backup file: ${backupFile}`,
+        `${backup.counts.entries} entries will be upserted by handle`,
+        `${backup.counts.metafieldValues} metafield values will be overwritten`,
+      ],
+      skipConfirmation: yes,
+    });
+
+    if (!confirmed) {
+      this.logger.info('Operation cancelled by user.');
+      return;
+    }
+
+    const results = await manager.restoreBackup(backup, sourceManager);
+    this.reportPatchedFields(results.definitions);
+    this.reportAccessDowngrades(manager);
+
+    const errors = [
+      ...results.definitions.metafields.errors,
+      ...results.definitions.metaobjects.errors,
+      ...results.entries.errors,
+      ...results.values.errors,
+    ];
+    errors.forEach((error) => {
+      this.logger.error(
+        `Restore error - ${error.identifier || error.definition}: ${
+          error.error
+        }`
+      );
+    });
+
+    this.logger.endOperation('Restore Backup', startTime, {
+      restored: {
+        metafields: results.definitions.metafields.success,
+        metaobjects: results.definitions.metaobjects.success,
+        entries: results.entries.success,
+        metafieldValues: results.values.success,
+      },
+      errors: errors.length,
+    });
+
+    if (errors.length > 0) {
+      this.logger.warning(
+        `Restore completed with ${errors.length} errors. Check logs for details.`
+      );
+    }
+  }
+}
+
+const restoreCommand = COMMON_OPTIONS.withConfirmationSkip(
+  new Command('restore')
+    .description(
+      'Replay a backup taken automatically before a destructive operation'
+    )
+    .argument('<backup>', 'Backup file written by delete, bulk or copy')
+    .option('--to <store>', 'Store to restore into (default: backed-up store)')
+).action(
+  // Commander passes positional arguments before options
+  (backupFile, options, command) =>
+    createCommandAction(RestoreCommand)({ ...options, backupFile }, command)
+);
+
+export { restoreCommand, RestoreCommand };
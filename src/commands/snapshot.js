@@ -0,0 +1,48 @@
+import { Command } from 'commander';
+import { CommandHandler } from '../utils/command-base.js';
+import {
+  COMMON_OPTIONS,
+  createCommandAction,
+} from '../utils/command-options.js';
+import { Snapshot } from '../utils/snapshot.js';
+
+class SnapshotCommand extends CommandHandler {
+  async execute(options) {
+    const { store, out, resources } = options;
+
+    const startTime = this.logger.startOperation('Snapshot Store', {
+      store,
+      out,
+      resources,
+    });
+
+    const { client, manager } = this.createClients(store);
+
+    this.logger.info('Fetching definitions and entries from store...');
+    // A snapshot missing entries would silently drop them on restore
+    const definitions = await manager.getAllDefinitionsWithEntries(true, {
+      throwOnError: true,
+    });
+
+    const snapshot = Snapshot.fromDefinitions(definitions, {
+      store,
+      apiVersion: client.apiVersion,
+      resources,
+    });
+    Snapshot.write(out, snapshot);
+
+    this.logger.success(`Snapshot written to ${out}`);
+    this.logger.endOperation('Snapshot Store', startTime, snapshot.counts);
+  }
+}
+
+const snapshotCommand = COMMON_OPTIONS.withResourceFilter(
+  new Command('snapshot')
+    .description(
+      'Export complete definitions and entries to a portable JSON file'
+    )
+    .requiredOption('--store <store>', 'Store name (staging, production, etc.)')
+    .requiredOption('--out <file>', 'Snapshot file path (JSON format)')
+).action(createCommandAction(SnapshotCommand));
+
+export { snapshotCommand, SnapshotCommand };
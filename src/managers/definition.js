@@ -1,21 +1,83 @@
 import {
   METAFIELD_OWNER_TYPES,
-  DEPENDENCY_ERROR_PATTERNS,
+  METAFIELDS_SET_BATCH_SIZE,
   METAOBJECT_REFERENCE_VALIDATION_KEY,
-  MAX_DEPENDENCY_PASSES,
-  PASS_DELAY_MS,
+  METAOBJECT_REFERENCE_LIST_VALIDATION_KEY,
   CREATION_DELAY_MS,
+  DEFAULT_ENTRY_INDEX_THRESHOLD,
   ENTRY_CONFLICT_ACTIONS,
+  ENTRY_CONFLICT_STRATEGIES,
   ENTRY_OPERATION_MODES,
+  DEFINITION_SYNC_ACTIONS,
   isReservedMetafieldNamespace,
   isReservedMetaobjectType,
 } from '../utils/constants.js';
-import { EntryConflictResolver } from '../utils/entry-conflict.js';
+import {
+  EntryConflictResolver,
+  diffEntryFields,
+  isEmptyFieldValue,
+  withPendingFields,
+} from '../utils/entry-conflict.js';
+import {
+  DefinitionChangeSet,
+  buildMetaobjectSettingsInput,
+  getEnabledCapabilities,
+  getMetafieldIdentity,
+} from '../utils/definition-changes.js';
+import { SyncPlan } from '../utils/sync-plan.js';
+import { DependencyGraph } from '../utils/dependency-graph.js';
+import { EntryReferenceMapper } from '../utils/entry-references.js';
+import { AccessPolicy } from '../utils/access-policy.js';
+import { QUERIES } from '../shopify/graphql-fragments.js';
+import {
+  metaobjectEntryReference,
+  resolveEntryReferences,
+} from '../utils/snapshot.js';
+
+/**
+ * Metaobject definition IDs held by a validation, or null when the validation
+ * does not reference metaobject definitions
+ */
+function getValidationReferenceIds(validation) {
+  if (validation.name === METAOBJECT_REFERENCE_VALIDATION_KEY) {
+    return validation.value ? [validation.value] : [];
+  }
+
+  if (validation.name === METAOBJECT_REFERENCE_LIST_VALIDATION_KEY) {
+    try {
+      const ids = JSON.parse(validation.value);
+      return Array.isArray(ids) ? ids : [ids];
+    } catch {
+      return [];
+    }
+  }
+
+  return null;
+}
 
 export class DefinitionManager {
   constructor(client, logger) {
     this.client = client;
     this.logger = logger;
+    // Maps source access settings to values this store can set
+    this.accessPolicy = new AccessPolicy();
+    // BulkOperationRunner fetching entries through bulk operations, when set
+    this.bulkOperations = null;
+  }
+
+  /**
+   * Copy of a source definition with its access mapped for this store, as
+   * expected by DefinitionChangeSet
+   * @param {string} resource - 'metafield' or 'metaobject'
+   * @param {Object} def - Source definition
+   */
+  withTargetAccess(resource, def) {
+    const identifier =
+      resource === 'metafield' ? getMetafieldIdentity(def) : def.type;
+    return {
+      ...def,
+      access: this.accessPolicy.map(resource, identifier, def.access),
+    };
   }
 
   /**
@@ -134,33 +196,90 @@ export class DefinitionManager {
     return { filtered, skipped };
   }
 
+  /**
+   * Walk a cursor-paginated connection until hasNextPage is false
+   * @param {Function} fetchPage - Called with the `after` cursor, resolves to the connection object
+   * @returns {Promise<Object>} - All nodes plus the number of pages read
+   */
+  async fetchAllPages(fetchPage) {
+    const nodes = [];
+    let pages = 0;
+    let hasNextPage = true;
+    let after = null;
+
+    while (hasNextPage) {
+      const connection = await fetchPage(after);
+      pages++;
+
+      nodes.push(...connection.edges.map((edge) => edge.node));
+
+      hasNextPage = connection.pageInfo.hasNextPage;
+      after = connection.pageInfo.endCursor;
+    }
+
+    return { nodes, pages };
+  }
+
+  /**
+   * Log how many pages and nodes were read for a definition fetch
+   */
+  logPaginationStats(label, stats) {
+    const message = `Read ${stats.pages} page${stats.pages === 1 ? '' : 's'} (${
+      stats.nodes.length
+    } definitions) for ${label}`;
+
+    if (stats.nodes.length > 0) {
+      this.logger.info(message);
+    } else {
+      this.logger.verbose(message);
+    }
+  }
+
   async getAllDefinitions() {
-    // Fetch metafields for each owner type
-    const metafieldPromises = METAFIELD_OWNER_TYPES.map(async (ownerType) => {
+    // Fetch metafields for each owner type, following pagination cursors.
+    // Owner types are read one at a time so the client's cost-based rate
+    // limiter can pace requests from the reported budget instead of
+    // bursting every query before the first cost report arrives.
+    const allMetafields = [];
+    for (const ownerType of METAFIELD_OWNER_TYPES) {
+      let pagesRead = 0;
       try {
-        const result = await this.client.getMetafieldDefinitions(ownerType);
-        return result.metafieldDefinitions.edges.map((e) => e.node);
+        const stats = await this.fetchAllPages(async (after) => {
+          const result = await this.client.getMetafieldDefinitions(
+            ownerType,
+            100,
+            after
+          );
+          pagesRead++;
+          return result.metafieldDefinitions;
+        });
+        this.logPaginationStats(`${ownerType} metafields`, stats);
+        allMetafields.push(...stats.nodes);
       } catch (error) {
+        // A failed later page would leave the owner type's list incomplete,
+        // and copy, diff and plan would act on it as if it were whole
+        if (pagesRead > 0) {
+          throw new Error(
+            `Failed to read all ${ownerType} metafield definitions: ${error.message}`
+          );
+        }
         // Some owner types might not be accessible (e.g., Company on non-Plus stores)
         this.logger.verbose(
           `Skipping ${ownerType} metafields: ${error.message}`
         );
-        return [];
       }
-    });
+    }
 
     // Fetch metaobjects
-    const metaobjectResult = await this.client.getMetaobjectDefinitions();
-
-    // Wait for all metafield requests to complete
-    const metafieldResults = await Promise.all(metafieldPromises);
-    const allMetafields = metafieldResults.flat();
+    const metaobjectStats = await this.fetchAllPages(async (after) => {
+      const result = await this.client.getMetaobjectDefinitions(100, after);
+      return result.metaobjectDefinitions;
+    });
+    this.logPaginationStats('metaobjects', metaobjectStats);
 
     return {
       metafields: allMetafields,
-      metaobjects: metaobjectResult.metaobjectDefinitions.edges.map(
-        (e) => e.node
-      ),
+      metaobjects: metaobjectStats.nodes,
     };
   }
 
@@ -176,11 +295,10 @@ export class DefinitionManager {
     return errors.map((error) => error.message).join(', ');
   }
 
-  async createMetafieldDefinition(def) {
-    this.logger.verbose(
-      `Creating metafield definition: ${def.namespace}/${def.key}`
-    );
-
+  /**
+   * Build the metafieldDefinitionCreate input for a source definition
+   */
+  buildMetafieldDefinitionInput(def) {
     const definitionInput = {
       name: def.name,
       namespace: def.namespace,
@@ -190,21 +308,15 @@ export class DefinitionManager {
       ownerType: def.ownerType,
     };
 
-    // Skip access controls - let target store use defaults
-    // if (def.access) {
-    //   definitionInput.access = {};
-    //   // Map access levels from source to target compatible values
-    //   if (def.access.admin) {
-    //     const adminAccess = def.access.admin === 'PUBLIC_READ_WRITE' ? 'MERCHANT_READ_WRITE' :
-    //                        def.access.admin === 'PUBLIC_READ' ? 'MERCHANT_READ' : def.access.admin;
-    //     definitionInput.access.admin = adminAccess;
-    //   }
-    //   if (def.access.storefront) {
-    //     const storefrontAccess = def.access.storefront === 'PUBLIC_READ_WRITE' ? 'PUBLIC_READ' :
-    //                             def.access.storefront === 'PUBLIC_READ' ? 'PUBLIC_READ' : def.access.storefront;
-    //     definitionInput.access.storefront = storefrontAccess;
-    //   }
-    // }
+    // Map access to values the target token can set
+    const access = this.accessPolicy.map(
+      'metafield',
+      getMetafieldIdentity(def),
+      def.access
+    );
+    if (access) {
+      definitionInput.access = access;
+    }
 
     // Add validations
     if (def.validations && def.validations.length > 0) {
@@ -214,7 +326,88 @@ export class DefinitionManager {
       }));
     }
 
-    const result = await this.client.createMetafieldDefinition(definitionInput);
+    // Add enabled capabilities (filtering, smart collections, unique values)
+    const capabilities = getEnabledCapabilities(def);
+    if (capabilities.length > 0) {
+      definitionInput.capabilities = Object.fromEntries(
+        capabilities.map((name) => [name, { enabled: true }])
+      );
+    }
+
+    return definitionInput;
+  }
+
+  /**
+   * Capabilities a create mutation was rejected for. Errors that mention
+   * capabilities without naming one reject all requested capabilities.
+   * @param {Array} errors - Errors from the create mutation
+   * @param {Array<string>} requested - Capabilities sent with the create
+   * @returns {Array<string>} - Rejected capability names
+   */
+  getRejectedCapabilities(errors, requested) {
+    const mentions = (error, term) =>
+      (error.field || []).includes(term) ||
+      (error.message || '').toLowerCase().includes(term.toLowerCase());
+
+    const named = requested.filter((name) =>
+      errors.some((error) => mentions(error, name))
+    );
+    if (named.length > 0) {
+      return named;
+    }
+
+    return errors.some((error) => mentions(error, 'capabilit'))
+      ? requested
+      : [];
+  }
+
+  /**
+   * Create a metafield definition from its create input, retrying without
+   * capabilities the target store rejects as not eligible
+   * @param {Object} definitionInput - metafieldDefinitionCreate input
+   * @returns {Object} - Client result of the last create attempt
+   */
+  async createMetafieldDefinitionInput(definitionInput) {
+    const input = { ...definitionInput };
+    let result = await this.client.createMetafieldDefinition(input);
+
+    const rejected =
+      !result.success && input.capabilities
+        ? this.getRejectedCapabilities(
+            result.errors,
+            Object.keys(input.capabilities)
+          )
+        : [];
+    if (rejected.length > 0) {
+      this.logger.warning(
+        `Skipping capabilities ${rejected.join(', ')} for metafield ${
+          input.namespace
+        }/${input.key}: not eligible on target (${this.formatErrorMessage(
+          result.errors
+        )})`
+      );
+      input.capabilities = Object.fromEntries(
+        Object.entries(input.capabilities).filter(
+          ([name]) => !rejected.includes(name)
+        )
+      );
+      if (Object.keys(input.capabilities).length === 0) {
+        delete input.capabilities;
+      }
+      result = await this.client.createMetafieldDefinition(input);
+    }
+
+    return result;
+  }
+
+  async createMetafieldDefinition(def) {
+    this.logger.verbose(
+      `Creating metafield definition: ${def.namespace}/${def.key}`
+    );
+
+    const result = await this.createMetafieldDefinitionInput(
+      this.buildMetafieldDefinitionInput(def)
+    );
 
     if (!result.success) {
       throw new Error(
@@ -227,41 +420,78 @@ export class DefinitionManager {
     return result.data;
   }
 
-  async createMetaobjectDefinition(def) {
-    this.logger.verbose(`Creating metaobject definition: ${def.type}`);
+  /**
+   * Build the field definition create input for a source metaobject field
+   */
+  buildMetaobjectFieldInput(field) {
+    return {
+      key: field.key,
+      name: field.name,
+      type: field.type.name,
+      description: field.description,
+      required: field.required,
+      // Add field validations if they exist
+      ...(field.validations &&
+        field.validations.length > 0 && {
+          validations: field.validations.map((v) => ({
+            name: v.name,
+            value: v.value,
+          })),
+        }),
+    };
+  }
 
+  /**
+   * Build the metaobjectDefinitionCreate input for a source definition
+   */
+  buildMetaobjectDefinitionInput(def) {
     const definitionInput = {
       name: def.name,
       type: def.type,
       description: def.description,
-      fieldDefinitions: def.fieldDefinitions.map((field) => ({
-        key: field.key,
-        name: field.name,
-        type: field.type.name,
-        description: field.description,
-        required: field.required,
-        // Add field validations if they exist
-        ...(field.validations &&
-          field.validations.length > 0 && {
-            validations: field.validations.map((v) => ({
-              name: v.name,
-              value: v.value,
-            })),
-          }),
-      })),
+      fieldDefinitions: def.fieldDefinitions.map((field) =>
+        this.buildMetaobjectFieldInput(field)
+      ),
     };
 
-    // Add capabilities
-    if (def.capabilities) {
-      definitionInput.capabilities = {};
-      if (def.capabilities.publishable?.enabled) {
-        definitionInput.capabilities.publishable = { enabled: true };
-      }
-      if (def.capabilities.translatable?.enabled) {
-        definitionInput.capabilities.translatable = { enabled: true };
-      }
+    // Map access to values the target token can set
+    const access = this.accessPolicy.map('metaobject', def.type, def.access);
+    if (access) {
+      definitionInput.access = access;
     }
 
+    // Display name and capabilities (publishing, translations, web pages).
+    // Fields are created in the same mutation, so the keys these refer to
+    // exist; settings referring to fields deferred to close a circular
+    // reference wait for those fields (see buildDeferredSettingsInput).
+    const fieldKeys = new Set(def.fieldDefinitions.map((field) => field.key));
+    return {
+      ...definitionInput,
+      ...buildMetaobjectSettingsInput(def, (keys) =>
+        keys.every((key) => fieldKeys.has(key))
+      ),
+    };
+  }
+
+  /**
+   * Settings of a definition that refer to fields added in the second phase
+   * of a circular reference, applied once those fields exist
+   * @param {Object} def - Source metaobject definition
+   * @param {Array} fields - Field definitions added in the second phase
+   * @returns {Object|null} - Update input, or null when no setting waits
+   */
+  buildDeferredSettingsInput(def, fields) {
+    const fieldKeys = new Set(fields.map((field) => field.key));
+    const input = buildMetaobjectSettingsInput(def, (keys) =>
+      keys.some((key) => fieldKeys.has(key))
+    );
+    return Object.keys(input).length > 0 ? input : null;
+  }
+
+  async createMetaobjectDefinition(def) {
+    this.logger.verbose(`Creating metaobject definition: ${def.type}`);
+
+    const definitionInput = this.buildMetaobjectDefinitionInput(def);
     const result = await this.client.createMetaobjectDefinition(
       definitionInput
     );
@@ -311,192 +541,1079 @@ export class DefinitionManager {
     return result.data;
   }
 
-  async copyDefinitionsWithDependencies(
-    definitions,
-    dryRun = false,
-    sourceManager = null
-  ) {
-    // Filter out reserved definitions
-    const { filtered, skipped } = this.filterReservedDefinitions(definitions);
+  async updateMetafieldDefinition(def, changeSet) {
+    this.logger.verbose(
+      `Updating metafield definition: ${def.namespace}/${def.key}`
+    );
 
-    const results = {
-      metafields: { success: 0, errors: [] },
-      metaobjects: { success: 0, errors: [] },
-    };
+    const result = await this.client.updateMetafieldDefinition(changeSet.input);
 
-    if (dryRun) {
-      this.logger.dryRunInfo(
-        `Would copy ${filtered.metafields.length} metafield definitions`
-      );
-      this.logger.dryRunInfo(
-        `Would copy ${filtered.metaobjects.length} metaobject definitions`
+    if (!result.success) {
+      throw new Error(
+        `Failed to update metafield definition ${def.namespace}/${
+          def.key
+        }: ${this.formatErrorMessage(result.errors)}`
       );
-      return results;
     }
 
-    // VALIDATION STEP: Build reference mapping for existing target store metaobjects
-    this.logger.verbose(
-      'Building metaobject reference mapping from target store...'
-    );
-    const targetDefinitions = await this.getAllDefinitions();
-    const existingMetaobjectMapping = this.buildMetaobjectTypeToIdMapping(
-      targetDefinitions.metaobjects
+    return result.data;
+  }
+
+  async updateMetaobjectDefinition(def, target, changeSet) {
+    this.logger.verbose(`Updating metaobject definition: ${def.type}`);
+
+    let result = await this.client.updateMetaobjectDefinition(
+      target.id,
+      changeSet.input
     );
 
-    // ENHANCEMENT: Fetch ALL source definitions (including reserved) for reference resolution
+    // Settings referring to fields created above are applied once they exist
+    if (result.success && changeSet.deferredInput) {
+      result = await this.client.updateMetaobjectDefinition(
+        target.id,
+        changeSet.deferredInput
+      );
+    }
+
+    if (!result.success) {
+      throw new Error(
+        `Failed to update metaobject definition ${
+          def.type
+        }: ${this.formatErrorMessage(result.errors)}`
+      );
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Add fields to a metaobject definition created without them, used for the
+   * fields that close a circular reference
+   */
+  async addMetaobjectFields(def, id, fields) {
     this.logger.verbose(
-      'Fetching complete source definitions for reference resolution...'
+      `Adding fields to metaobject definition ${def.type}: ${fields
+        .map((field) => field.key)
+        .join(', ')}`
     );
-    const completeSourceDefinitions = sourceManager
-      ? await sourceManager.getAllDefinitions()
-      : await this.getAllDefinitions();
 
-    // Track created metaobject IDs for reference mapping
-    const metaobjectIdMapping = new Map();
+    let result = await this.client.updateMetaobjectDefinition(id, {
+      fieldDefinitions: fields.map((field) => ({
+        create: this.buildMetaobjectFieldInput(field),
+      })),
+    });
 
-    // Copy metaobject definitions first with multi-pass retry for dependencies
-    let pendingMetaobjects = [...filtered.metaobjects];
-    let pass = 0;
+    // Display name or renderable keys referring to the added fields
+    const settingsInput = this.buildDeferredSettingsInput(def, fields);
+    if (result.success && settingsInput) {
+      result = await this.client.updateMetaobjectDefinition(id, settingsInput);
+    }
 
-    while (pendingMetaobjects.length > 0 && pass < MAX_DEPENDENCY_PASSES) {
-      pass++;
-      this.logger.info(
-        `Pass ${pass}: Attempting to copy ${pendingMetaobjects.length} metaobject definitions`
-      );
+    if (!result.success) {
+      throw new Error(this.formatErrorMessage(result.errors));
+    }
 
-      const stillPending = [];
+    return result.data;
+  }
 
-      for (const def of pendingMetaobjects) {
-        try {
-          // Update metaobject references in this definition before creating
-          const updatedDef = this.updateMetaobjectReferences(
-            def,
-            metaobjectIdMapping,
-            completeSourceDefinitions, // Use complete source definitions for reference lookup
-            existingMetaobjectMapping // Pass target store type-to-ID mapping
-          );
-          const createdDefinition = await this.createMetaobjectDefinition(
-            updatedDef
-          );
+  /**
+   * Log the individual changes of a change set
+   */
+  logDefinitionChanges(identifier, changeSet, dryRun = false) {
+    const prefix = dryRun ? 'Would update' : 'Updating';
+    const log = (message) =>
+      dryRun ? this.logger.dryRunInfo(message) : this.logger.verbose(message);
+
+    log(`${prefix} ${identifier}:`);
+    for (const line of DefinitionChangeSet.describe(changeSet)) {
+      log(`  - ${line}`);
+    }
+  }
 
-          // Track the mapping from old ID to new ID
-          metaobjectIdMapping.set(def.id, createdDefinition.id);
-          results.metaobjects.success++;
-          this.logger.info(`Successfully copied metaobject: ${def.type}`);
+  /**
+   * Bring an existing target metafield definition in line with the source.
+   * Type changes cannot be made in place and need delete+create, which also
+   * deletes every associated metafield value, so they require allowRecreate.
+   * @returns {Object} - { action, definition, changeSet }
+   */
+  async syncMetafieldDefinition(def, target, options = {}) {
+    const { allowRecreate = false, dryRun = false } = options;
+    const identifier = `metafield ${def.namespace}/${def.key}`;
+    const changeSet = DefinitionChangeSet.forMetafield(
+      this.withTargetAccess('metafield', def),
+      target
+    );
 
-          // Add small delay to allow for propagation in Shopify
-          await new Promise((resolve) =>
-            setTimeout(resolve, CREATION_DELAY_MS)
-          );
-        } catch (error) {
-          const isDependencyError = this.isDependencyError(error.message);
+    for (const name of changeSet.notEligibleCapabilities) {
+      this.logger.warning(
+        `Skipping capability ${name} for ${identifier}: target reports it as not eligible`
+      );
+    }
 
-          if (isDependencyError && pass < MAX_DEPENDENCY_PASSES) {
-            this.logger.warning(
-              `Pass ${pass}: Metaobject ${def.type} depends on another metaobject, will retry in next pass`
-            );
-            stillPending.push(def);
-          } else {
-            results.metaobjects.errors.push({
-              definition: def.type,
-              error: error.message,
-            });
-            this.logger.error(
-              `Failed to copy metaobject ${def.type}:`,
-              error.message
-            );
-          }
-        }
-      }
+    if (!changeSet.hasChanges) {
+      this.logger.verbose(`Target ${identifier} is already up to date`);
+      return {
+        action: DEFINITION_SYNC_ACTIONS.UNCHANGED,
+        definition: target,
+        changeSet,
+      };
+    }
 
-      pendingMetaobjects = stillPending;
+    this.logDefinitionChanges(identifier, changeSet, dryRun);
 
-      // Add delay between passes to allow for propagation
-      if (pendingMetaobjects.length > 0 && pass < MAX_DEPENDENCY_PASSES) {
-        this.logger.info(
-          `Waiting ${PASS_DELAY_MS / 1000} seconds before next pass...`
+    if (changeSet.requiresRecreate) {
+      if (!allowRecreate) {
+        throw new Error(
+          `Cannot update ${identifier} in place (${changeSet.recreateReasons.join(
+            '; '
+          )}). Re-run with --allow-recreate to delete and recreate it, which deletes all associated metafield values`
         );
-        await new Promise((resolve) => setTimeout(resolve, PASS_DELAY_MS));
       }
-    }
 
-    // Report any remaining failures
-    if (pendingMetaobjects.length > 0) {
-      this.logger.error(
-        `Failed to copy ${pendingMetaobjects.length} metaobject definitions after ${MAX_DEPENDENCY_PASSES} passes due to unresolved dependencies`
-      );
-      for (const def of pendingMetaobjects) {
-        results.metaobjects.errors.push({
-          definition: def.type,
-          error:
-            'Unresolved metaobject dependency after maximum retry attempts',
-        });
+      if (dryRun) {
+        this.logger.dryRunInfo(
+          `Would delete and recreate ${identifier} (all associated metafield values will be lost)`
+        );
+        return {
+          action: DEFINITION_SYNC_ACTIONS.RECREATE,
+          definition: target,
+          changeSet,
+        };
       }
-    }
 
-    // Copy metafield definitions second (after metaobjects exist and can be referenced)
-    // Update metafield references before creating them
-    const updatedMetafields = filtered.metafields.map((def) => {
-      return this.updateMetafieldReferences(
-        def,
-        metaobjectIdMapping,
-        completeSourceDefinitions, // Use complete source definitions for reference lookup
-        existingMetaobjectMapping
+      this.logger.warning(
+        `Recreating ${identifier}: ${changeSet.recreateReasons.join('; ')}`
       );
-    });
+      await this.deleteMetafieldDefinition(target);
+      return {
+        action: DEFINITION_SYNC_ACTIONS.RECREATE,
+        definition: await this.createMetafieldDefinition(def),
+        changeSet,
+      };
+    }
 
-    const metafieldResults = await this.processDefinitions(
-      { metafields: updatedMetafields, metaobjects: [] },
-      {
-        name: 'copy',
-        metafield: async (def) => this.createMetafieldDefinition(def),
-        metaobject: async () => {}, // No-op for this call
-      }
-    );
-    results.metafields = metafieldResults.metafields;
+    if (dryRun) {
+      return {
+        action: DEFINITION_SYNC_ACTIONS.UPDATE,
+        definition: target,
+        changeSet,
+      };
+    }
 
-    return results;
+    return {
+      action: DEFINITION_SYNC_ACTIONS.UPDATE,
+      definition: await this.updateMetafieldDefinition(def, changeSet),
+      changeSet,
+    };
   }
 
   /**
-   * Check if an error message indicates a dependency error
+   * Bring an existing target metaobject definition in line with the source
+   * using field create/update/delete operations. Field type changes drop and
+   * re-add the field, losing its values, so they require allowRecreate.
+   * @returns {Object} - { action, definition, changeSet }
    */
-  isDependencyError(errorMessage) {
-    const lowerMessage = errorMessage.toLowerCase();
-    return DEPENDENCY_ERROR_PATTERNS.some((pattern) =>
-      lowerMessage.includes(pattern)
+  async syncMetaobjectDefinition(def, target, options = {}) {
+    const { allowRecreate = false, dryRun = false } = options;
+    const identifier = `metaobject ${def.type}`;
+    const changeSet = DefinitionChangeSet.forMetaobject(
+      this.withTargetAccess('metaobject', def),
+      target
     );
-  }
 
-  // Helper method to build metaobject type to ID mapping
-  buildMetaobjectTypeToIdMapping(metaobjects) {
-    const mapping = new Map();
+    if (!changeSet.hasChanges) {
+      this.logger.verbose(`Target ${identifier} is already up to date`);
+      return {
+        action: DEFINITION_SYNC_ACTIONS.UNCHANGED,
+        definition: target,
+        changeSet,
+      };
+    }
 
-    for (const metaobject of metaobjects) {
-      // Create mapping from type to ID for easy lookup
-      mapping.set(metaobject.type, metaobject.id);
-      this.logger.verbose(
-        `Mapped metaobject type '${metaobject.type}' to ID '${metaobject.id}'`
+    this.logDefinitionChanges(identifier, changeSet, dryRun);
+
+    if (changeSet.requiresRecreate && !allowRecreate) {
+      throw new Error(
+        `Cannot update ${identifier} in place (${changeSet.recreateReasons.join(
+          '; '
+        )}). Re-run with --allow-recreate to drop and re-add the affected fields, which deletes their values`
       );
     }
 
-    return mapping;
-  }
+    const action = changeSet.requiresRecreate
+      ? DEFINITION_SYNC_ACTIONS.RECREATE
+      : DEFINITION_SYNC_ACTIONS.UPDATE;
 
-  // Helper method to resolve metaobject reference by type
-  resolveMetaobjectReferenceByType(
-    sourceDefinitions,
-    targetTypeToIdMapping,
-    referencedId
-  ) {
-    // First, try to find the metaobject type from source definitions that has this ID
-    const sourceMetaobject = sourceDefinitions.metaobjects?.find(
-      (def) => def.id === referencedId
-    );
+    if (dryRun) {
+      return { action, definition: target, changeSet };
+    }
 
-    if (sourceMetaobject) {
-      // Check if this type exists in the target store
-      const targetId = targetTypeToIdMapping.get(sourceMetaobject.type);
+    return {
+      action,
+      definition: await this.updateMetaobjectDefinition(def, target, changeSet),
+      changeSet,
+    };
+  }
+
+  /**
+   * Count a sync action in a results bucket
+   */
+  recordSyncAction(bucket, action) {
+    bucket.success++;
+    if (action !== DEFINITION_SYNC_ACTIONS.CREATE) {
+      bucket[action]++;
+    }
+  }
+
+  async copyDefinitionsWithDependencies(
+    definitions,
+    dryRun = false,
+    sourceManager = null,
+    options = {}
+  ) {
+    const { allowRecreate = false } = options;
+
+    // Filter out reserved definitions
+    const { filtered, skipped } = this.filterReservedDefinitions(definitions);
+
+    const results = {
+      metafields: {
+        success: 0,
+        errors: [],
+        update: 0,
+        recreate: 0,
+        unchanged: 0,
+      },
+      metaobjects: {
+        success: 0,
+        errors: [],
+        update: 0,
+        recreate: 0,
+        unchanged: 0,
+        patched: [],
+      },
+    };
+
+    // VALIDATION STEP: Build reference mapping for existing target store metaobjects
+    this.logger.verbose(
+      'Building metaobject reference mapping from target store...'
+    );
+    const targetDefinitions = await this.getAllDefinitions();
+    const existingMetaobjectMapping = this.buildMetaobjectTypeToIdMapping(
+      targetDefinitions.metaobjects
+    );
+
+    // Index existing target definitions so conflicts are updated in place
+    const targetMetafields = new Map(
+      targetDefinitions.metafields.map((def) => [
+        getMetafieldIdentity(def),
+        def,
+      ])
+    );
+    const targetMetaobjects = new Map(
+      targetDefinitions.metaobjects.map((def) => [def.type, def])
+    );
+
+    // ENHANCEMENT: Fetch ALL source definitions (including reserved) for reference resolution
+    this.logger.verbose(
+      'Fetching complete source definitions for reference resolution...'
+    );
+    const completeSourceDefinitions = sourceManager
+      ? await sourceManager.getAllDefinitions()
+      : await this.getAllDefinitions();
+
+    // Every referenced definition must resolve before anything is written
+    this.assertReferencesResolvable(
+      filtered,
+      completeSourceDefinitions,
+      new Set(targetMetaobjects.keys()),
+      new Set(targetDefinitions.metaobjects.map((def) => def.id))
+    );
+
+    // Definitions are created in dependency order; fields closing a circular
+    // reference are added in a second phase
+    const { ordered, graph, deferredFields } = this.planMetaobjectCreation(
+      filtered.metaobjects,
+      completeSourceDefinitions,
+      new Set(targetMetaobjects.keys())
+    );
+    const blocked = new Map();
+
+    if (dryRun) {
+      return this.previewDefinitionCopy(filtered, results, {
+        targetMetafields,
+        targetMetaobjects,
+        completeSourceDefinitions,
+        existingMetaobjectMapping,
+        allowRecreate,
+        ordered,
+        deferredFields,
+      });
+    }
+
+    // Track created metaobject IDs for reference mapping
+    const metaobjectIdMapping = new Map();
+
+    // Copy metaobject definitions first, referenced definitions before the
+    // definitions that reference them
+    this.logger.info(
+      `Copying ${ordered.length} metaobject definitions in dependency order`
+    );
+
+    for (const def of ordered) {
+      const reason = this.getBlockedReason(def.type, graph, blocked);
+      if (reason) {
+        results.metaobjects.errors.push({
+          definition: def.type,
+          error: reason,
+        });
+        this.logger.error(`Cannot copy metaobject ${def.type}: ${reason}`);
+        continue;
+      }
+
+      try {
+        // Update metaobject references in this definition before creating
+        const updatedDef = this.updateMetaobjectReferences(
+          def,
+          metaobjectIdMapping,
+          completeSourceDefinitions, // Use complete source definitions for reference lookup
+          existingMetaobjectMapping // Pass target store type-to-ID mapping
+        );
+
+        // Existing definitions are updated in place instead of being recreated
+        const existing = targetMetaobjects.get(def.type);
+        const { action, definition } = existing
+          ? await this.syncMetaobjectDefinition(updatedDef, existing, {
+              allowRecreate,
+            })
+          : {
+              action: DEFINITION_SYNC_ACTIONS.CREATE,
+              definition: await this.createMetaobjectDefinition(updatedDef),
+            };
+
+        // Track the mapping from old ID to new ID
+        metaobjectIdMapping.set(def.id, definition.id);
+        this.recordSyncAction(results.metaobjects, action);
+        this.logger.info(
+          action === DEFINITION_SYNC_ACTIONS.UNCHANGED
+            ? `Metaobject already up to date: ${def.type}`
+            : `Successfully copied metaobject: ${def.type} (${action})`
+        );
+
+        // Add small delay to allow for propagation in Shopify
+        if (action !== DEFINITION_SYNC_ACTIONS.UNCHANGED) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, CREATION_DELAY_MS)
+          );
+        }
+      } catch (error) {
+        // Definitions referencing this one can no longer be created
+        blocked.set(def.type, error.message);
+        results.metaobjects.errors.push({
+          definition: def.type,
+          error: error.message,
+        });
+        this.logger.error(
+          `Failed to copy metaobject ${def.type}:`,
+          error.message
+        );
+      }
+    }
+
+    // Second phase: add the fields left out to break circular references,
+    // now that every definition they reference exists
+    const sourceIdToType = new Map(
+      completeSourceDefinitions.metaobjects.map((def) => [def.id, def.type])
+    );
+    for (const def of ordered.filter((def) => deferredFields.has(def.type))) {
+      const id = metaobjectIdMapping.get(def.id);
+      if (!id) {
+        continue; // Creation failed and was reported above
+      }
+
+      const fields = deferredFields.get(def.type);
+      const keys = fields.map((field) => field.key);
+      try {
+        const failed = this.getReferencedMetaobjectTypes(
+          { fieldDefinitions: fields },
+          sourceIdToType
+        ).find((type) => blocked.has(type));
+        if (failed) {
+          throw new Error(
+            `References metaobject ${failed}, which could not be copied`
+          );
+        }
+
+        const updatedFields = this.updateMetaobjectReferences(
+          { ...def, fieldDefinitions: fields },
+          metaobjectIdMapping,
+          completeSourceDefinitions,
+          existingMetaobjectMapping
+        ).fieldDefinitions;
+        await this.addMetaobjectFields(def, id, updatedFields);
+
+        results.metaobjects.patched.push({
+          definition: def.type,
+          fields: keys,
+        });
+        this.logger.info(
+          `Added circular reference fields to metaobject ${
+            def.type
+          }: ${keys.join(', ')}`
+        );
+      } catch (error) {
+        results.metaobjects.errors.push({
+          definition: def.type,
+          error: `Failed to add fields ${keys.join(', ')}: ${error.message}`,
+        });
+        this.logger.error(
+          `Failed to add circular reference fields to metaobject ${def.type}:`,
+          error.message
+        );
+      }
+    }
+
+    // Copy metafield definitions second (after metaobjects exist and can be referenced)
+    // Update metafield references before creating them
+    const updatedMetafields = filtered.metafields.map((def) => {
+      return this.updateMetafieldReferences(
+        def,
+        metaobjectIdMapping,
+        completeSourceDefinitions, // Use complete source definitions for reference lookup
+        existingMetaobjectMapping
+      );
+    });
+
+    const metafieldResults = await this.processDefinitions(
+      { metafields: updatedMetafields, metaobjects: [] },
+      {
+        name: 'copy',
+        metafield: async (def) => {
+          const existing = targetMetafields.get(getMetafieldIdentity(def));
+          if (!existing) {
+            await this.createMetafieldDefinition(def);
+            return;
+          }
+
+          const { action } = await this.syncMetafieldDefinition(def, existing, {
+            allowRecreate,
+          });
+          if (action !== DEFINITION_SYNC_ACTIONS.CREATE) {
+            results.metafields[action]++;
+          }
+        },
+        metaobject: async () => {}, // No-op for this call
+      }
+    );
+    results.metafields.success = metafieldResults.metafields.success;
+    results.metafields.errors = metafieldResults.metafields.errors;
+
+    return results;
+  }
+
+  /**
+   * Dry-run counterpart of copyDefinitionsWithDependencies: reports what would
+   * be created, updated, recreated or left unchanged without writing anything
+   */
+  async previewDefinitionCopy(filtered, results, context) {
+    const {
+      targetMetafields,
+      targetMetaobjects,
+      completeSourceDefinitions,
+      existingMetaobjectMapping,
+      allowRecreate,
+      ordered,
+      deferredFields,
+    } = context;
+    const noCreatedIds = new Map();
+
+    const preview = async (bucket, def, existing, identifier, sync) => {
+      if (!existing) {
+        this.logger.dryRunInfo(`Would create ${identifier}`);
+        this.recordSyncAction(bucket, DEFINITION_SYNC_ACTIONS.CREATE);
+        return;
+      }
+
+      try {
+        const { action } = await sync(existing);
+        this.recordSyncAction(bucket, action);
+      } catch (error) {
+        bucket.errors.push({ definition: identifier, error: error.message });
+        this.logger.warning(error.message);
+      }
+    };
+
+    for (const def of ordered) {
+      const updatedDef = this.updateMetaobjectReferences(
+        def,
+        noCreatedIds,
+        completeSourceDefinitions,
+        existingMetaobjectMapping
+      );
+      await preview(
+        results.metaobjects,
+        def,
+        targetMetaobjects.get(def.type),
+        `metaobject ${def.type}`,
+        (existing) =>
+          this.syncMetaobjectDefinition(updatedDef, existing, {
+            allowRecreate,
+            dryRun: true,
+          })
+      );
+
+      if (deferredFields.has(def.type)) {
+        this.logger.dryRunInfo(
+          `Would add circular reference fields to metaobject ${
+            def.type
+          } once created: ${deferredFields
+            .get(def.type)
+            .map((field) => field.key)
+            .join(', ')}`
+        );
+      }
+    }
+
+    for (const def of filtered.metafields) {
+      const updatedDef = this.updateMetafieldReferences(
+        def,
+        noCreatedIds,
+        completeSourceDefinitions,
+        existingMetaobjectMapping
+      );
+      await preview(
+        results.metafields,
+        def,
+        targetMetafields.get(getMetafieldIdentity(def)),
+        `metafield ${def.namespace}/${def.key}`,
+        (existing) =>
+          this.syncMetafieldDefinition(updatedDef, existing, {
+            allowRecreate,
+            dryRun: true,
+          })
+      );
+    }
+
+    this.logger.dryRunInfo(
+      `Would copy ${filtered.metafields.length} metafield definitions`
+    );
+    this.logger.dryRunInfo(
+      `Would copy ${filtered.metaobjects.length} metaobject definitions`
+    );
+
+    return results;
+  }
+
+  /**
+   * Metaobject types referenced by a field definition's validations
+   * @param {Object} field - Metaobject or metafield definition field
+   * @param {Map} idToType - Metaobject definition ID to type for the same store
+   * @returns {Array<string>} - Referenced types
+   */
+  getFieldReferencedTypes(field, idToType) {
+    const types = new Set();
+
+    for (const validation of field.validations || []) {
+      (getValidationReferenceIds(validation) || [])
+        .map((id) => idToType.get(id))
+        .filter(Boolean)
+        .forEach((type) => types.add(type));
+    }
+
+    return [...types];
+  }
+
+  /**
+   * Metaobject types referenced by a metaobject definition's field validations
+   * @param {Object} def - Metaobject definition
+   * @param {Map} idToType - Metaobject definition ID to type for the same store
+   * @returns {Array<string>} - Referenced types
+   */
+  getReferencedMetaobjectTypes(def, idToType) {
+    return [
+      ...new Set(
+        (def.fieldDefinitions || []).flatMap((field) =>
+          this.getFieldReferencedTypes(field, idToType)
+        )
+      ),
+    ];
+  }
+
+  /**
+   * Order metaobject definitions so referenced definitions come first.
+   * References to types that already exist in the target resolve by type and
+   * do not constrain the order.
+   * @param {Array} metaobjects - Metaobject definitions to order
+   * @param {Object} sourceDefinitions - Complete source definitions for ID lookup
+   * @param {Set} existingTypes - Types already present in the target store
+   * @returns {Object} - { ordered, cycles, graph } where each cycle is
+   *   { types, path } for a group of definitions referencing each other
+   */
+  orderMetaobjectsByDependencies(
+    metaobjects,
+    sourceDefinitions,
+    existingTypes = new Set()
+  ) {
+    const idToType = new Map(
+      (sourceDefinitions.metaobjects || []).map((def) => [def.id, def.type])
+    );
+    const byType = new Map(metaobjects.map((def) => [def.type, def]));
+    const graph = new DependencyGraph();
+
+    for (const def of metaobjects) {
+      graph.addNode(def.type);
+      for (const type of this.getReferencedMetaobjectTypes(def, idToType)) {
+        if (byType.has(type) && !existingTypes.has(type)) {
+          graph.addDependency(def.type, type);
+        }
+      }
+    }
+
+    const { order, cycles } = graph.sort();
+
+    return {
+      ordered: order.map((type) => byType.get(type)),
+      cycles: cycles.map((types) => ({
+        types,
+        path: graph.describeCycle(types),
+      })),
+      graph,
+    };
+  }
+
+  /**
+   * Creation order for metaobject definitions with circular references
+   * broken: fields of a definition in a cycle that reference a definition of
+   * the same cycle are left out when it is created, and added back once every
+   * definition of the cycle exists
+   * @param {Array} metaobjects - Metaobject definitions to create or update
+   * @param {Object} sourceDefinitions - Complete source definitions for ID lookup
+   * @param {Set} existingTypes - Types already present in the target store
+   * @returns {Object} - { ordered, graph, deferredFields } where ordered holds
+   *   the definitions without their deferred fields and deferredFields maps a
+   *   type to the field definitions to add in the second phase
+   */
+  planMetaobjectCreation(metaobjects, sourceDefinitions, existingTypes) {
+    const idToType = new Map(
+      (sourceDefinitions.metaobjects || []).map((def) => [def.id, def.type])
+    );
+    const byType = new Map(metaobjects.map((def) => [def.type, def]));
+    const { cycles } = this.orderMetaobjectsByDependencies(
+      metaobjects,
+      sourceDefinitions,
+      existingTypes
+    );
+    const deferredFields = new Map();
+
+    for (const cycle of cycles) {
+      const members = new Set(cycle.types);
+
+      for (const type of cycle.types) {
+        deferredFields.set(
+          type,
+          byType
+            .get(type)
+            .fieldDefinitions.filter((field) =>
+              this.getFieldReferencedTypes(field, idToType).some((referenced) =>
+                members.has(referenced)
+              )
+            )
+        );
+      }
+
+      this.logger.info(
+        `Circular metaobject reference: ${
+          cycle.path
+        }; creating ${cycle.types.join(
+          ', '
+        )} without the fields closing the cycle and adding them afterwards`
+      );
+    }
+
+    // Without the deferred fields the references no longer form cycles
+    const { ordered, graph } = this.orderMetaobjectsByDependencies(
+      metaobjects.map((def) =>
+        deferredFields.has(def.type)
+          ? {
+              ...def,
+              fieldDefinitions: def.fieldDefinitions.filter(
+                (field) => !deferredFields.get(def.type).includes(field)
+              ),
+            }
+          : def
+      ),
+      sourceDefinitions,
+      existingTypes
+    );
+
+    return { ordered, graph, deferredFields };
+  }
+
+  /**
+   * Reason a metaobject definition cannot be created, if it is blocked itself
+   * or references a blocked definition. Dependents of blocked definitions are
+   * marked as blocked in turn.
+   */
+  getBlockedReason(type, graph, blocked) {
+    if (blocked.has(type)) {
+      return blocked.get(type);
+    }
+
+    const dependency = graph
+      .getDependencies(type)
+      .find((dependencyType) => blocked.has(dependencyType));
+    if (!dependency) {
+      return null;
+    }
+
+    const reason = `References metaobject ${dependency}, which could not be copied`;
+    blocked.set(type, reason);
+    return reason;
+  }
+
+  /**
+   * Compute the exact ordered list of operations a copy would perform
+   * @param {Object} definitions - Source definitions to copy
+   * @param {DefinitionManager} sourceManager - Source manager for reference resolution
+   * @param {Object} options - { allowRecreate }
+   * @returns {Object} - { operations, skipped, droppedCapabilities,
+   *   fingerprint }: skipped changes cannot be applied; dropped capabilities
+   *   are left out of changes that are applied
+   */
+  async buildSyncPlan(definitions, sourceManager, options = {}) {
+    const { allowRecreate = false } = options;
+    const { filtered } = this.filterReservedDefinitions(definitions);
+
+    const targetDefinitions = await this.getAllDefinitions();
+    const existingMetaobjectMapping = this.buildMetaobjectTypeToIdMapping(
+      targetDefinitions.metaobjects
+    );
+    const targetMetafields = new Map(
+      targetDefinitions.metafields.map((def) => [
+        getMetafieldIdentity(def),
+        def,
+      ])
+    );
+    const targetMetaobjects = new Map(
+      targetDefinitions.metaobjects.map((def) => [def.type, def])
+    );
+    const completeSourceDefinitions = await sourceManager.getAllDefinitions();
+    this.assertReferencesResolvable(
+      filtered,
+      completeSourceDefinitions,
+      new Set(targetMetaobjects.keys()),
+      new Set(targetDefinitions.metaobjects.map((def) => def.id))
+    );
+
+    // Definitions created by the plan have no target ID yet: reference them
+    // through placeholders that apply resolves once they exist
+    const placeholderMapping = new Map(
+      filtered.metaobjects
+        .filter((def) => !targetMetaobjects.has(def.type))
+        .map((def) => [def.id, SyncPlan.referenceFor(def.type)])
+    );
+
+    const operations = [];
+    const skipped = [];
+    const droppedCapabilities = [];
+
+    const planUpdate = (resource, identifier, existing, changeSet) => {
+      for (const name of changeSet.notEligibleCapabilities || []) {
+        droppedCapabilities.push({ resource, identifier, capability: name });
+      }
+
+      if (!changeSet.hasChanges) {
+        return;
+      }
+
+      if (changeSet.requiresRecreate && !allowRecreate) {
+        skipped.push({
+          resource,
+          identifier,
+          reason: `Cannot update in place: ${changeSet.recreateReasons.join(
+            '; '
+          )}`,
+        });
+        return;
+      }
+
+      const changes = DefinitionChangeSet.describe(changeSet);
+
+      if (resource === 'metafield' && changeSet.requiresRecreate) {
+        operations.push({
+          action: 'delete',
+          resource,
+          identifier,
+          id: existing.id,
+          destructive: true,
+          changes,
+        });
+        return 'recreate';
+      }
+
+      operations.push({
+        action: 'update',
+        resource,
+        identifier,
+        ...(resource === 'metaobject' && { id: existing.id }),
+        ...(changeSet.requiresRecreate && { destructive: true }),
+        changes,
+        input: changeSet.input,
+      });
+
+      // Follow-up for settings that refer to fields created by the update
+      if (changeSet.deferredInput) {
+        operations.push({
+          action: 'update',
+          resource,
+          identifier,
+          id: existing.id,
+          changes: ['apply settings referring to updated fields'],
+          input: changeSet.deferredInput,
+        });
+      }
+    };
+
+    const { ordered, deferredFields } = this.planMetaobjectCreation(
+      filtered.metaobjects,
+      completeSourceDefinitions,
+      new Set(targetMetaobjects.keys())
+    );
+
+    for (const def of ordered) {
+      const updatedDef = this.updateMetaobjectReferences(
+        def,
+        placeholderMapping,
+        completeSourceDefinitions,
+        existingMetaobjectMapping
+      );
+      const existing = targetMetaobjects.get(def.type);
+
+      if (!existing) {
+        operations.push({
+          action: 'create',
+          resource: 'metaobject',
+          identifier: def.type,
+          input: this.buildMetaobjectDefinitionInput(updatedDef),
+        });
+        continue;
+      }
+
+      planUpdate(
+        'metaobject',
+        def.type,
+        existing,
+        DefinitionChangeSet.forMetaobject(
+          this.withTargetAccess('metaobject', updatedDef),
+          existing
+        )
+      );
+    }
+
+    // Fields closing circular references are added once the whole cycle exists
+    for (const def of ordered.filter((def) => deferredFields.has(def.type))) {
+      const fields = this.updateMetaobjectReferences(
+        { ...def, fieldDefinitions: deferredFields.get(def.type) },
+        placeholderMapping,
+        completeSourceDefinitions,
+        existingMetaobjectMapping
+      ).fieldDefinitions;
+
+      operations.push({
+        action: 'update',
+        resource: 'metaobject',
+        identifier: def.type,
+        id: SyncPlan.referenceFor(def.type),
+        changes: fields.map(
+          (field) => `field ${field.key}: added (circular reference)`
+        ),
+        input: {
+          fieldDefinitions: fields.map((field) => ({
+            create: this.buildMetaobjectFieldInput(field),
+          })),
+        },
+      });
+
+      const settingsInput = this.buildDeferredSettingsInput(def, fields);
+      if (settingsInput) {
+        operations.push({
+          action: 'update',
+          resource: 'metaobject',
+          identifier: def.type,
+          id: SyncPlan.referenceFor(def.type),
+          changes: ['apply settings referring to added fields'],
+          input: settingsInput,
+        });
+      }
+    }
+
+    for (const def of filtered.metafields) {
+      const updatedDef = this.updateMetafieldReferences(
+        def,
+        placeholderMapping,
+        completeSourceDefinitions,
+        existingMetaobjectMapping
+      );
+      const identifier = getMetafieldIdentity(def);
+      const existing = targetMetafields.get(identifier);
+
+      const outcome = existing
+        ? planUpdate(
+            'metafield',
+            identifier,
+            existing,
+            DefinitionChangeSet.forMetafield(
+              this.withTargetAccess('metafield', updatedDef),
+              existing
+            )
+          )
+        : 'create';
+
+      if (outcome === 'create' || outcome === 'recreate') {
+        operations.push({
+          action: 'create',
+          resource: 'metafield',
+          identifier,
+          input: this.buildMetafieldDefinitionInput(updatedDef),
+        });
+      }
+    }
+
+    return {
+      operations,
+      skipped,
+      droppedCapabilities,
+      fingerprint: SyncPlan.fingerprint(targetDefinitions),
+    };
+  }
+
+  /**
+   * Run a single plan operation against the target store
+   */
+  async executePlanOperation(operation, input) {
+    const label = `${operation.action} ${operation.resource} ${operation.identifier}`;
+    let result;
+
+    switch (`${operation.resource}:${operation.action}`) {
+      case 'metaobject:create':
+        result = await this.client.createMetaobjectDefinition(input);
+        break;
+      case 'metaobject:update':
+        result = await this.client.updateMetaobjectDefinition(
+          operation.id,
+          input
+        );
+        break;
+      case 'metaobject:delete':
+        result = await this.client.deleteMetaobjectDefinition(operation.id);
+        break;
+      case 'metafield:create':
+        result = await this.createMetafieldDefinitionInput(input);
+        break;
+      case 'metafield:update':
+        result = await this.client.updateMetafieldDefinition(input);
+        break;
+      case 'metafield:delete':
+        result = await this.client.deleteMetafieldDefinition(operation.id);
+        break;
+      default:
+        throw new Error(`Unknown plan operation: ${label}`);
+    }
+
+    if (!result.success) {
+      throw new Error(
+        `Failed to ${label}: ${this.formatErrorMessage(result.errors)}`
+      );
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Apply a saved plan exactly as written. Refuses to run when the target
+   * store's definitions changed since the plan was made, and stops at the
+   * first failing operation.
+   * @param {Object} plan - Plan read with SyncPlan.read
+   * @returns {Object} - { applied, failed }
+   */
+  async applySyncPlan(plan) {
+    const targetDefinitions = await this.getAllDefinitions();
+
+    if (SyncPlan.fingerprint(targetDefinitions) !== plan.target.fingerprint) {
+      throw new Error(
+        'Target store definitions changed since the plan was created. Run plan again and review the new plan before applying.'
+      );
+    }
+
+    const typeToId = this.buildMetaobjectTypeToIdMapping(
+      targetDefinitions.metaobjects
+    );
+    const results = { applied: 0, failed: null };
+
+    for (const [index, operation] of plan.operations.entries()) {
+      const step = `[${index + 1}/${plan.operations.length}]`;
+
+      try {
+        // Operations on definitions created by the plan carry placeholder IDs
+        const { id, input } = SyncPlan.resolveReferences(
+          { id: operation.id, input: operation.input },
+          typeToId
+        );
+        const data = await this.executePlanOperation(
+          { ...operation, id },
+          input
+        );
+
+        if (
+          operation.resource === 'metaobject' &&
+          operation.action === 'create'
+        ) {
+          typeToId.set(operation.identifier, data.id);
+        }
+
+        results.applied++;
+        this.logger.info(
+          `${step} ${operation.action} ${operation.resource} ${operation.identifier}`
+        );
+      } catch (error) {
+        results.failed = { operation, index, error: error.message };
+        this.logger.error(`${step} ${error.message}`);
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  // Helper method to build metaobject type to ID mapping
+  buildMetaobjectTypeToIdMapping(metaobjects) {
+    const mapping = new Map();
+
+    for (const metaobject of metaobjects) {
+      // Create mapping from type to ID for easy lookup
+      mapping.set(metaobject.type, metaobject.id);
+      this.logger.verbose(
+        `Mapped metaobject type '${metaobject.type}' to ID '${metaobject.id}'`
+      );
+    }
+
+    return mapping;
+  }
+
+  // Helper method to resolve metaobject reference by type
+  resolveMetaobjectReferenceByType(
+    sourceDefinitions,
+    targetTypeToIdMapping,
+    referencedId
+  ) {
+    // First, try to find the metaobject type from source definitions that has this ID
+    const sourceMetaobject = sourceDefinitions.metaobjects?.find(
+      (def) => def.id === referencedId
+    );
+
+    if (sourceMetaobject) {
+      // Check if this type exists in the target store
+      const targetId = targetTypeToIdMapping.get(sourceMetaobject.type);
 
       if (targetId) {
         this.logger.verbose(
@@ -517,6 +1634,62 @@ export class DefinitionManager {
     return null;
   }
 
+  /**
+   * Rewrite the metaobject definition IDs held by ID-bearing validations
+   * (`metaobject_definition_id`, and the JSON array of `metaobject_definition_ids`
+   * used by mixed and list references) with the matching target IDs
+   * @param {Array} validations - Validations of a metafield or field definition
+   * @param {Map} idMapping - Source ID to ID created in this operation
+   * @param {Object} sourceDefinitions - Complete source definitions for type lookup
+   * @param {Map} targetTypeToIdMapping - Target store type to ID
+   * @returns {Array} - Validations with resolvable IDs replaced
+   */
+  resolveValidationReferences(
+    validations,
+    idMapping,
+    sourceDefinitions = null,
+    targetTypeToIdMapping = null
+  ) {
+    const resolveId = (oldId) => {
+      // First try the creation mapping (for metaobjects created in this operation)
+      let newId = idMapping.get(oldId);
+
+      // If not found in creation mapping, try to resolve via type mapping
+      if (!newId && sourceDefinitions && targetTypeToIdMapping) {
+        newId = this.resolveMetaobjectReferenceByType(
+          sourceDefinitions,
+          targetTypeToIdMapping,
+          oldId
+        );
+      }
+
+      if (!newId) {
+        this.logger.verbose(`No mapping found for metaobject ID: ${oldId}`);
+        return oldId;
+      }
+
+      this.logger.verbose(
+        `Updating metaobject reference: ${oldId} -> ${newId}`
+      );
+      return newId;
+    };
+
+    return (validations || []).map((validation) => {
+      const ids = getValidationReferenceIds(validation);
+      if (!ids || ids.length === 0) {
+        return validation;
+      }
+
+      return {
+        ...validation,
+        value:
+          validation.name === METAOBJECT_REFERENCE_LIST_VALIDATION_KEY
+            ? JSON.stringify(ids.map(resolveId))
+            : resolveId(validation.value),
+      };
+    });
+  }
+
   // Helper method to update metafield references with resolved metaobject IDs
   updateMetafieldReferences(
     definition,
@@ -526,38 +1699,12 @@ export class DefinitionManager {
   ) {
     const updatedDef = JSON.parse(JSON.stringify(definition)); // Deep clone
 
-    // Check if this metafield has metaobject_reference validations
-    if (updatedDef.validations && updatedDef.validations.length > 0) {
-      updatedDef.validations = updatedDef.validations.map((validation) => {
-        if (validation.name === METAOBJECT_REFERENCE_VALIDATION_KEY) {
-          const oldId = validation.value;
-
-          // First try the creation mapping (for metaobjects created in this operation)
-          let newId = idMapping.get(oldId);
-
-          // If not found in creation mapping, try to resolve via type mapping
-          if (!newId && sourceDefinitions && targetTypeToIdMapping) {
-            newId = this.resolveMetaobjectReferenceByType(
-              sourceDefinitions,
-              targetTypeToIdMapping,
-              oldId
-            );
-          }
-
-          if (newId) {
-            this.logger.verbose(
-              `Updating metafield reference: ${oldId} -> ${newId}`
-            );
-            return { ...validation, value: newId };
-          } else {
-            this.logger.verbose(
-              `No mapping found for metafield metaobject ID: ${oldId}`
-            );
-          }
-        }
-        return validation;
-      });
-    }
+    updatedDef.validations = this.resolveValidationReferences(
+      updatedDef.validations,
+      idMapping,
+      sourceDefinitions,
+      targetTypeToIdMapping
+    );
 
     return updatedDef;
   }
@@ -571,43 +1718,114 @@ export class DefinitionManager {
   ) {
     const updatedDef = JSON.parse(JSON.stringify(definition)); // Deep clone
 
-    updatedDef.fieldDefinitions = updatedDef.fieldDefinitions.map((field) => {
-      // Check if this field has metaobject_reference validations
-      if (field.validations && field.validations.length > 0) {
-        field.validations = field.validations.map((validation) => {
-          if (validation.name === METAOBJECT_REFERENCE_VALIDATION_KEY) {
-            const oldId = validation.value;
-
-            // First try the creation mapping (for metaobjects created in this operation)
-            let newId = idMapping.get(oldId);
-
-            // If not found in creation mapping, try to resolve via type mapping
-            if (!newId && sourceDefinitions && targetTypeToIdMapping) {
-              newId = this.resolveMetaobjectReferenceByType(
-                sourceDefinitions,
-                targetTypeToIdMapping,
-                oldId
-              );
-            }
+    updatedDef.fieldDefinitions = updatedDef.fieldDefinitions.map((field) => ({
+      ...field,
+      validations: this.resolveValidationReferences(
+        field.validations,
+        idMapping,
+        sourceDefinitions,
+        targetTypeToIdMapping
+      ),
+    }));
 
-            if (newId) {
-              this.logger.verbose(
-                `Updating metaobject reference: ${oldId} -> ${newId}`
-              );
-              return { ...validation, value: newId };
-            } else {
-              this.logger.verbose(
-                `No mapping found for metaobject ID: ${oldId}`
-              );
-            }
+    return updatedDef;
+  }
+
+  /**
+   * Metaobject definition references that cannot be resolved in the target:
+   * IDs unknown to the source store, or types that neither exist in the target
+   * nor are part of the copy. IDs of target definitions already resolve: a
+   * partial backup keeps them for definitions it does not contain.
+   * @param {Object} definitions - Definitions about to be copied
+   * @param {Object} sourceDefinitions - Complete source definitions for type lookup
+   * @param {Set} targetTypes - Metaobject types present in the target store
+   * @param {Set} targetIds - Metaobject definition IDs of the target store
+   * @returns {Array} - List of { definition, field, id, reason }
+   */
+  findUnresolvedReferences(
+    definitions,
+    sourceDefinitions,
+    targetTypes,
+    targetIds = new Set()
+  ) {
+    const idToType = new Map(
+      (sourceDefinitions.metaobjects || []).map((def) => [def.id, def.type])
+    );
+    const availableTypes = new Set([
+      ...targetTypes,
+      ...definitions.metaobjects.map((def) => def.type),
+    ]);
+    const unresolved = [];
+
+    const check = (definition, field, validations) => {
+      for (const validation of validations || []) {
+        for (const id of getValidationReferenceIds(validation) || []) {
+          const type = idToType.get(id);
+          if (!type && targetIds.has(id)) {
+            continue;
           }
-          return validation;
-        });
+          if (!type) {
+            unresolved.push({
+              definition,
+              field,
+              id,
+              reason: 'not found in the source store',
+            });
+          } else if (!availableTypes.has(type)) {
+            unresolved.push({
+              definition,
+              field,
+              id,
+              reason: `metaobject type ${type} does not exist in the target store and is not being copied`,
+            });
+          }
+        }
       }
-      return field;
-    });
+    };
 
-    return updatedDef;
+    for (const def of definitions.metaobjects) {
+      for (const field of def.fieldDefinitions || []) {
+        check(`metaobject ${def.type}`, field.key, field.validations);
+      }
+    }
+    for (const def of definitions.metafields) {
+      check(`metafield ${getMetafieldIdentity(def)}`, null, def.validations);
+    }
+
+    return unresolved;
+  }
+
+  /**
+   * Report every unresolvable metaobject definition reference and refuse to
+   * continue, so nothing is written with IDs from the source store. Runs
+   * before the first mutation of a copy or plan.
+   */
+  assertReferencesResolvable(
+    definitions,
+    sourceDefinitions,
+    targetTypes,
+    targetIds = new Set()
+  ) {
+    const unresolved = this.findUnresolvedReferences(
+      definitions,
+      sourceDefinitions,
+      targetTypes,
+      targetIds
+    );
+    if (unresolved.length === 0) {
+      return;
+    }
+
+    unresolved.forEach(({ definition, field, id, reason }) => {
+      this.logger.error(
+        `Unresolved reference in ${definition}${
+          field ? ` field ${field}` : ''
+        }: ${id} (${reason})`
+      );
+    });
+    throw new Error(
+      `Cannot resolve ${unresolved.length} metaobject definition references. Include the referenced definitions or create them in the target store first.`
+    );
   }
 
   async deleteDefinitions(definitions, dryRun = false) {
@@ -626,7 +1844,14 @@ export class DefinitionManager {
   }
 
   // Metaobject Entry Operations
-  async getAllDefinitionsWithEntries(includeEntries = false) {
+  /**
+   * Fetch all definitions, with entry counts and entries when requested
+   * @param {boolean} includeEntries - Attach entriesCount and entries
+   * @param {Object} options - { throwOnError }: fail when the entries of a
+   *   type cannot be read completely instead of attaching no or partial
+   *   entries
+   */
+  async getAllDefinitionsWithEntries(includeEntries = false, options = {}) {
     const definitions = await this.getAllDefinitions();
 
     if (includeEntries) {
@@ -645,12 +1870,18 @@ export class DefinitionManager {
             `Fetching entries for metaobject type: ${metaobjectDef.type}`
           );
           metaobjectDef.entries = await this.getMetaobjectEntries(
-            metaobjectDef.type
+            metaobjectDef.type,
+            { throwOnError: options.throwOnError }
           );
           this.logger.verbose(
             `Found ${metaobjectDef.entries.length} entries for ${metaobjectDef.type}`
           );
         } catch (error) {
+          if (options.throwOnError) {
+            throw new Error(
+              `Failed to fetch entries for ${metaobjectDef.type}: ${error.message}`
+            );
+          }
           this.logger.verbose(
             `Failed to get entry count for ${metaobjectDef.type}: ${error.message}`
           );
@@ -663,17 +1894,42 @@ export class DefinitionManager {
     return definitions;
   }
 
-  async getMetaobjectEntries(type) {
+  /**
+   * Fetch the entries of a metaobject type
+   * @param {string} type - Metaobject type
+   * @param {Object} options - { updatedSince, throwOnError }: updatedSince
+   *   fetches only entries updated at or after that ISO timestamp;
+   *   throwOnError fails instead of returning the entries fetched so far
+   */
+  async getMetaobjectEntries(type, options = {}) {
     const allEntries = [];
     let hasNextPage = true;
     let after = null;
+    const search = options.updatedSince
+      ? `updated_at:>='${options.updatedSince}'`
+      : null;
+
+    if (this.bulkOperations) {
+      try {
+        return await this.getMetaobjectEntriesInBulk(type, search);
+      } catch (error) {
+        if (options.throwOnError) {
+          throw error;
+        }
+        this.logger.error(
+          `Failed to fetch entries for ${type}: ${error.message}`
+        );
+        return allEntries;
+      }
+    }
 
     while (hasNextPage) {
       try {
         const response = await this.client.getMetaobjectEntries(
           type,
           250,
-          after
+          after,
+          search
         );
         const entriesData = response.metaobjects;
 
@@ -682,6 +1938,9 @@ export class DefinitionManager {
         hasNextPage = entriesData.pageInfo.hasNextPage;
         after = entriesData.pageInfo.endCursor;
       } catch (error) {
+        if (options.throwOnError) {
+          throw error;
+        }
         this.logger.error(
           `Failed to fetch entries for ${type}: ${error.message}`
         );
@@ -692,144 +1951,673 @@ export class DefinitionManager {
     return allEntries;
   }
 
+  /**
+   * Fetch the entries of a metaobject type with a bulk operation query,
+   * parsing its JSONL result as it streams in
+   * @param {string} type - Metaobject type
+   * @param {string} search - Search syntax filter, optional
+   */
+  async getMetaobjectEntriesInBulk(type, search = null) {
+    this.logger.verbose(`Exporting entries of ${type} with a bulk operation`);
+    const entries = [];
+
+    for await (const entry of this.bulkOperations.runQuery(
+      QUERIES.buildBulkMetaobjectEntriesQuery(type, search)
+    )) {
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Entries of a type in this store by handle, loaded through paginated
+   * queries when more than `threshold` entries of the type are copied
+   * @returns {Map|null} - Handle to entry, or null to look entries up one by
+   *   one (few entries, or the index could not be loaded)
+   */
+  async loadEntryIndex(
+    type,
+    entryCount,
+    threshold = DEFAULT_ENTRY_INDEX_THRESHOLD
+  ) {
+    if (entryCount <= threshold) {
+      return null;
+    }
+
+    try {
+      const entries = await this.getMetaobjectEntries(type, {
+        throwOnError: true,
+      });
+      this.logger.verbose(
+        `Indexed ${entries.length} target entries of ${type}`
+      );
+      return new Map(entries.map((entry) => [entry.handle, entry]));
+    } catch (error) {
+      this.logger.warning(
+        `Could not index target entries of ${type}, looking them up one by one: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Existing entry of this store with the handle of a source entry, from the
+   * type's entry index when there is one
+   */
+  async findTargetEntry(sourceEntry, entryIndex = null) {
+    if (entryIndex) {
+      return entryIndex.get(sourceEntry.handle) || null;
+    }
+
+    const response = await this.client.getMetaobjectByHandle(
+      sourceEntry.type,
+      sourceEntry.handle
+    );
+    return response.metaobjectByHandle;
+  }
+
+  /**
+   * Handles of the given source entries that already exist in this store
+   * @param {Object} sourceDefinitions - Definitions carrying source entries
+   * @param {number} indexThreshold - Entry count above which a type's target
+   *   entries are loaded at once
+   * @returns {Array} - Entry identifiers (type/handle)
+   */
+  async findExistingEntries(sourceDefinitions, indexThreshold) {
+    const existing = [];
+
+    for (const def of sourceDefinitions.metaobjects || []) {
+      const entries = def.entries || [];
+      const entryIndex = await this.loadEntryIndex(
+        def.type,
+        entries.length,
+        indexThreshold
+      );
+
+      for (const entry of entries) {
+        if (await this.findTargetEntry(entry, entryIndex)) {
+          existing.push(`${entry.type}/${entry.handle}`);
+        }
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Throw when any source entry already exists in this store, listing every
+   * conflicting handle (--on-conflict fail)
+   */
+  async assertNoEntryConflicts(sourceDefinitions, indexThreshold) {
+    const conflicts = await this.findExistingEntries(
+      sourceDefinitions,
+      indexThreshold
+    );
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    conflicts.forEach((identifier) => {
+      this.logger.error(`Entry already exists in target store: ${identifier}`);
+    });
+    throw new Error(
+      `${conflicts.length} entries already exist in the target store (--on-conflict fail). Nothing was written.`
+    );
+  }
+
+  /**
+   * Entries of this store whose handles are missing from the source, for each
+   * metaobject type being copied
+   * @param {Object} sourceDefinitions - Definitions carrying every source entry
+   * @returns {Array} - Target entries ({ id, type, handle }) to prune
+   */
+  async findEntriesMissingFromSource(sourceDefinitions) {
+    const missing = [];
+
+    for (const def of sourceDefinitions.metaobjects || []) {
+      const sourceHandles = new Set(
+        (def.entries || []).map((entry) => entry.handle)
+      );
+      const targetEntries = await this.getMetaobjectEntries(def.type, {
+        throwOnError: true,
+      });
+
+      missing.push(
+        ...targetEntries
+          .filter((entry) => !sourceHandles.has(entry.handle))
+          .map(({ id, type, handle }) => ({ id, type, handle }))
+      );
+    }
+
+    return missing;
+  }
+
+  /**
+   * Delete the given entries from this store
+   * @param {Array} entries - Entries from findEntriesMissingFromSource
+   * @returns {Object} - { success, errors }
+   */
+  async pruneMetaobjectEntries(entries) {
+    const results = {
+      success: 0,
+      errors: [],
+    };
+
+    for (const entry of entries) {
+      const identifier = `${entry.type}/${entry.handle}`;
+
+      try {
+        const result = await this.client.deleteMetaobjectEntry(entry.id);
+        if (!result.success) {
+          throw new Error(
+            `Delete failed: ${this.formatErrorMessage(result.errors)}`
+          );
+        }
+
+        results.success++;
+        this.logger.verbose(`Deleted entry: ${identifier}`);
+      } catch (error) {
+        results.errors.push({
+          type: 'metaobject_entry',
+          identifier,
+          error: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Copy entries of the given metaobject definitions to this store. Reference
+   * fields are translated to target IDs by natural key (metaobject type and
+   * handle, product/collection/page handle, variant SKU), and entries are
+   * written after the entries they reference. Entries referencing each other
+   * are written without those references first and patched afterwards.
+   * Referenced files are copied to this store by the given FileCopier. Types
+   * with more entries than the index threshold have their target entries
+   * loaded at once instead of looked up entry by entry. With a
+   * BulkOperationRunner, entries are written by bulk mutations instead.
+   * @param {Object} sourceDefinitions - Definitions carrying source entries
+   * @param {EntryConflictResolver} conflictResolver - Resolves existing entries
+   * @param {boolean} dryRun - Only report what would be copied
+   * @param {DefinitionManager} sourceManager - Source manager for reference lookups
+   * @param {Object} options - { fileCopier, indexThreshold, bulkOperations }
+   * @returns {Object} - { success, errors, skipped, unchanged, unresolved }
+   */
   async copyMetaobjectEntries(
     sourceDefinitions,
     conflictResolver,
-    dryRun = false
+    dryRun = false,
+    sourceManager = null,
+    options = {}
   ) {
     const results = {
       success: 0,
       errors: [],
       skipped: 0,
+      unchanged: 0,
+      unresolved: [],
     };
+    const sourceEntries = [];
+
+    // Referenced types first, so most references resolve on the first pass
+    const { ordered } = this.orderMetaobjectsByDependencies(
+      sourceDefinitions.metaobjects || [],
+      sourceDefinitions
+    );
 
-    for (const metaobjectDef of sourceDefinitions.metaobjects || []) {
+    for (const metaobjectDef of ordered) {
       try {
         this.logger.verbose(
           `Processing entries for metaobject type: ${metaobjectDef.type}`
         );
 
         // Get entries from the already-fetched data, or fetch if not available
-        let sourceEntries;
+        let entries;
         if (metaobjectDef.entries && Array.isArray(metaobjectDef.entries)) {
           // Use pre-fetched entries from source store
-          sourceEntries = metaobjectDef.entries;
+          entries = metaobjectDef.entries;
           this.logger.verbose(
-            `Using pre-fetched entries for ${metaobjectDef.type}: ${sourceEntries.length} entries`
+            `Using pre-fetched entries for ${metaobjectDef.type}: ${entries.length} entries`
           );
         } else {
           // Fallback: fetch entries (this would fetch from target store, which is wrong for copying)
           this.logger.warning(
             `No pre-fetched entries found for ${metaobjectDef.type}, this may indicate a bug in entry fetching`
           );
-          sourceEntries = await this.getMetaobjectEntries(metaobjectDef.type);
+          entries = await this.getMetaobjectEntries(metaobjectDef.type);
         }
 
-        if (sourceEntries.length === 0) {
+        if (entries.length === 0) {
           this.logger.verbose(`No entries found for ${metaobjectDef.type}`);
           continue;
         }
 
         this.logger.info(
-          `Copying ${sourceEntries.length} entries for ${metaobjectDef.type}`
+          `Copying ${entries.length} entries for ${metaobjectDef.type}`
+        );
+        sourceEntries.push(...entries);
+      } catch (error) {
+        this.logger.error(
+          `Failed to process entries for ${metaobjectDef.type}: ${error.message}`
         );
+        results.errors.push({
+          type: 'metaobject_entries',
+          identifier: metaobjectDef.type,
+          error: error.message,
+        });
+      }
+    }
 
-        // Process each entry
-        for (const sourceEntry of sourceEntries) {
-          try {
-            const entryResult = await this.copyMetaobjectEntry(
-              sourceEntry,
-              conflictResolver,
-              dryRun
-            );
+    const mapper = new EntryReferenceMapper(
+      sourceManager?.client,
+      this.client,
+      this.logger,
+      options.fileCopier
+    );
+    await mapper.load(sourceEntries);
+
+    // Large types: load the target entries once instead of per entry, and
+    // let references to them resolve from the index too
+    const entryIndexes = new Map();
+    for (const metaobjectDef of ordered) {
+      const count = sourceEntries.filter(
+        (entry) => entry.type === metaobjectDef.type
+      ).length;
+      const entryIndex = await this.loadEntryIndex(
+        metaobjectDef.type,
+        count,
+        options.indexThreshold
+      );
+      if (!entryIndex) continue;
+
+      entryIndexes.set(metaobjectDef.type, entryIndex);
+      for (const entry of entryIndex.values()) {
+        mapper.register(
+          metaobjectEntryReference(entry.type, entry.handle),
+          entry.id
+        );
+      }
+    }
+
+    if (options.bulkOperations) {
+      await this.importMetaobjectEntriesInBulk(sourceEntries, mapper, results, {
+        bulkOperations: options.bulkOperations,
+        strategy: conflictResolver.strategy,
+        entryIndexes,
+        dryRun,
+      });
+      return results;
+    }
+
+    // Entries not written yet; references to them wait until they are
+    const remaining = new Set(
+      sourceEntries.map((entry) =>
+        metaobjectEntryReference(entry.type, entry.handle)
+      )
+    );
+    const patches = [];
+    let pending = sourceEntries;
+    let allowPending = false;
+
+    while (pending.length > 0) {
+      const deferred = [];
+
+      for (const sourceEntry of pending) {
+        const identifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+        const reference = metaobjectEntryReference(
+          sourceEntry.type,
+          sourceEntry.handle
+        );
+
+        try {
+          const mapped = await mapper.mapFields(sourceEntry, (target) =>
+            remaining.has(target)
+          );
+          if (mapped.pending.length > 0 && !allowPending) {
+            deferred.push(sourceEntry);
+            continue;
+          }
+
+          const entryResult = await this.copyMetaobjectEntry(
+            { ...sourceEntry, fields: mapped.fields },
+            conflictResolver,
+            dryRun,
+            entryIndexes.get(sourceEntry.type),
+            mapped.pending
+          );
 
-            if (entryResult.action === ENTRY_CONFLICT_ACTIONS.QUIT) {
-              this.logger.info('Operation cancelled by user');
-              return results;
-            }
+          if (entryResult.action === ENTRY_CONFLICT_ACTIONS.QUIT) {
+            this.logger.info('Operation cancelled by user');
+            results.cancelled = true;
+            return results;
+          }
+
+          remaining.delete(reference);
+          if (entryResult.id || dryRun) {
+            mapper.register(reference, entryResult.id || reference);
+          }
+          mapped.unresolved.forEach((unresolved) =>
+            results.unresolved.push({ identifier, ...unresolved })
+          );
 
+          if (entryResult.success || entryResult.unchanged) {
             if (entryResult.success) {
               results.success++;
-            } else if (entryResult.skipped) {
-              results.skipped++;
             } else {
-              results.errors.push({
-                type: 'metaobject_entry',
-                identifier: `${sourceEntry.type}/${sourceEntry.handle}`,
-                error: entryResult.error,
-              });
+              results.unchanged++;
             }
-          } catch (error) {
+            // A merge links only references it may write
+            const keys = [
+              ...new Set(mapped.pending.map(({ field }) => field)),
+            ].filter(
+              (key) => !entryResult.keys || entryResult.keys.includes(key)
+            );
+            if (keys.length > 0) {
+              patches.push({ sourceEntry, keys });
+            }
+          } else if (entryResult.skipped) {
+            results.skipped++;
+          } else {
             results.errors.push({
               type: 'metaobject_entry',
-              identifier: `${sourceEntry.type}/${sourceEntry.handle}`,
-              error: error.message,
+              identifier,
+              error: entryResult.error,
             });
           }
+        } catch (error) {
+          remaining.delete(reference);
+          results.errors.push({
+            type: 'metaobject_entry',
+            identifier,
+            error: error.message,
+          });
         }
-      } catch (error) {
-        this.logger.error(
-          `Failed to process entries for ${metaobjectDef.type}: ${error.message}`
+      }
+
+      // No entry could be written: the rest reference each other
+      allowPending = deferred.length === pending.length;
+      pending = deferred;
+    }
+
+    await this.patchEntryReferences(patches, mapper, results, dryRun);
+
+    return results;
+  }
+
+  /**
+   * Bulk import path of copyMetaobjectEntries: every entry is upserted by one
+   * bulkOperationRunMutation instead of one mutation per entry, then
+   * references between imported entries are linked by a second one. A bulk
+   * import cannot prompt, so existing entries are overwritten unless the
+   * strategy is skip (fail is checked before anything is written).
+   * @param {Array} sourceEntries - Source entries to import
+   * @param {EntryReferenceMapper} mapper - Loaded reference mapper
+   * @param {Object} results - copyMetaobjectEntries results, updated in place
+   * @param {Object} options - { bulkOperations, strategy, entryIndexes, dryRun }
+   */
+  async importMetaobjectEntriesInBulk(sourceEntries, mapper, results, options) {
+    const { bulkOperations, strategy, entryIndexes, dryRun = false } = options;
+    let entries = sourceEntries;
+
+    if (strategy === ENTRY_CONFLICT_STRATEGIES.SKIP) {
+      entries = [];
+      for (const sourceEntry of sourceEntries) {
+        const targetEntry = await this.findTargetEntry(
+          sourceEntry,
+          entryIndexes.get(sourceEntry.type)
+        );
+        if (!targetEntry) {
+          entries.push(sourceEntry);
+          continue;
+        }
+
+        mapper.register(
+          metaobjectEntryReference(sourceEntry.type, sourceEntry.handle),
+          targetEntry.id
+        );
+        results.skipped++;
+        this.logger.verbose(
+          `Skipped entry: ${sourceEntry.type}/${sourceEntry.handle}`
+        );
+      }
+    }
+
+    // References between imported entries are left out of the first pass
+    const remaining = new Set(
+      entries.map((entry) => metaobjectEntryReference(entry.type, entry.handle))
+    );
+    const upserts = [];
+    const patches = [];
+
+    for (const sourceEntry of entries) {
+      const identifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+
+      try {
+        const mapped = await mapper.mapFields(sourceEntry, (target) =>
+          remaining.has(target)
+        );
+        mapped.unresolved.forEach((unresolved) =>
+          results.unresolved.push({ identifier, ...unresolved })
         );
+
+        upserts.push({ sourceEntry, fields: mapped.fields });
+        const keys = [...new Set(mapped.pending.map(({ field }) => field))];
+        if (keys.length > 0) {
+          patches.push({ sourceEntry, keys });
+        }
+      } catch (error) {
         results.errors.push({
-          type: 'metaobject_entries',
-          identifier: metaobjectDef.type,
+          type: 'metaobject_entry',
+          identifier,
           error: error.message,
         });
       }
     }
 
-    return results;
-  }
+    if (dryRun) {
+      this.logger.dryRunInfo(
+        `Would import ${upserts.length} entries with a bulk operation`
+      );
+      results.success += upserts.length;
+      await this.patchEntryReferences(patches, mapper, results, true);
+      return;
+    }
 
-  async copyMetaobjectEntry(sourceEntry, conflictResolver, dryRun = false) {
-    const entryIdentifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+    this.logger.info(
+      `Importing ${upserts.length} entries with a bulk operation...`
+    );
+    const imported = new Set();
+    for (const outcome of await this.runBulkUpserts(bulkOperations, upserts)) {
+      const { sourceEntry, id, error } = outcome;
+      const identifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+
+      if (error) {
+        results.errors.push({ type: 'metaobject_entry', identifier, error });
+        continue;
+      }
 
-    if (dryRun) {
-      this.logger.dryRunInfo(`Would copy entry: ${entryIdentifier}`);
-      return { success: true, action: ENTRY_CONFLICT_ACTIONS.UPDATE };
+      results.success++;
+      imported.add(identifier);
+      mapper.register(
+        metaobjectEntryReference(sourceEntry.type, sourceEntry.handle),
+        id
+      );
+    }
+
+    // Second pass: link references now that every imported entry has an ID
+    const links = [];
+    for (const { sourceEntry, keys } of patches) {
+      const identifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+      if (!imported.has(identifier)) continue;
+
+      const mapped = await mapper.mapFields({
+        ...sourceEntry,
+        fields: sourceEntry.fields.filter((field) => keys.includes(field.key)),
+      });
+      mapped.unresolved.forEach((unresolved) =>
+        results.unresolved.push({ identifier, ...unresolved })
+      );
+      links.push({ sourceEntry, fields: mapped.fields, keys });
+    }
+
+    if (links.length === 0) {
+      return;
+    }
+
+    this.logger.info(
+      `Linking references of ${links.length} entries with a bulk operation...`
+    );
+    const outcomes = await this.runBulkUpserts(bulkOperations, links);
+    outcomes.forEach(({ sourceEntry, error }, index) => {
+      if (error) {
+        results.errors.push({
+          type: 'metaobject_entry',
+          identifier: `${sourceEntry.type}/${sourceEntry.handle}`,
+          error: `Failed to link references ${links[index].keys.join(
+            ', '
+          )}: ${error}`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Upsert entries with one bulk mutation and match its per-line results
+   * back to them
+   * @param {BulkOperationRunner} bulkOperations - Runner of this store
+   * @param {Array} upserts - { sourceEntry, fields } to write
+   * @returns {Array} - { sourceEntry, id, error } for each upsert, in order;
+   *   a failed operation fails every line it left without a result
+   */
+  async runBulkUpserts(bulkOperations, upserts) {
+    const outcomes = upserts.map(({ sourceEntry }) => ({
+      sourceEntry,
+      id: null,
+      error: null,
+    }));
+    if (upserts.length === 0) {
+      return outcomes;
     }
 
+    let failure = 'No result in the bulk operation output';
     try {
-      // Check if entry exists in target
-      const existingEntry = await this.client.getMetaobjectByHandle(
-        sourceEntry.type,
-        sourceEntry.handle
+      const lines = bulkOperations.runMutation(
+        QUERIES.buildBulkMetaobjectUpsertMutation(),
+        upserts.map(({ sourceEntry, fields }) => ({
+          handle: { type: sourceEntry.type, handle: sourceEntry.handle },
+          metaobject: {
+            fields: fields.map(({ key, value }) => ({ key, value })),
+          },
+        }))
       );
 
-      if (existingEntry.metaobjectByHandle) {
-        // Conflict detected - ask user what to do
-        const action = await conflictResolver.resolveConflict(
-          sourceEntry,
-          existingEntry.metaobjectByHandle,
-          entryIdentifier
-        );
+      for await (const line of lines) {
+        const outcome = outcomes[line.__lineNumber];
+        if (!outcome) continue;
 
-        if (action === ENTRY_CONFLICT_ACTIONS.QUIT) {
-          return { action: ENTRY_CONFLICT_ACTIONS.QUIT };
+        const payload = line.data?.metaobjectUpsert;
+        const errors = [...(line.errors || []), ...(payload?.userErrors || [])];
+        if (errors.length > 0 || !payload?.metaobject) {
+          outcome.error = `Upsert failed: ${this.formatErrorMessage(errors)}`;
+        } else {
+          outcome.id = payload.metaobject.id;
         }
+      }
+    } catch (error) {
+      failure = `Bulk import failed: ${error.message}`;
+    }
 
-        if (action === ENTRY_CONFLICT_ACTIONS.SKIP) {
-          this.logger.verbose(`Skipped entry: ${entryIdentifier}`);
-          return { skipped: true };
-        }
+    outcomes
+      .filter((outcome) => !outcome.id && !outcome.error)
+      .forEach((outcome) => {
+        outcome.error = failure;
+      });
+    return outcomes;
+  }
+
+  /**
+   * Second pass for entries written without references to entries copied
+   * after them: upsert just those fields now that every entry exists
+   */
+  async patchEntryReferences(patches, mapper, results, dryRun = false) {
+    for (const { sourceEntry, keys } of patches) {
+      const identifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+
+      if (dryRun) {
+        this.logger.dryRunInfo(
+          `Would link references of entry ${identifier}: ${keys.join(', ')}`
+        );
+        continue;
+      }
+
+      try {
+        const mapped = await mapper.mapFields({
+          ...sourceEntry,
+          fields: sourceEntry.fields.filter((field) =>
+            keys.includes(field.key)
+          ),
+        });
+        mapped.unresolved.forEach((unresolved) =>
+          results.unresolved.push({ identifier, ...unresolved })
+        );
 
-        // Update existing entry
         const result = await this.client.upsertMetaobjectEntry(
           sourceEntry.type,
           sourceEntry.handle,
-          sourceEntry.fields
+          mapped.fields
         );
-
         if (!result.success) {
           throw new Error(
             `Upsert failed: ${this.formatErrorMessage(result.errors)}`
           );
         }
 
-        this.logger.verbose(`Updated entry: ${entryIdentifier}`);
-        return { success: true, action };
-      } else {
+        this.logger.verbose(
+          `Linked references of entry ${identifier}: ${keys.join(', ')}`
+        );
+      } catch (error) {
+        results.errors.push({
+          type: 'metaobject_entry',
+          identifier,
+          error: `Failed to link references ${keys.join(', ')}: ${
+            error.message
+          }`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Copy one entry, asking the conflict resolver what to do with an existing
+   * entry of the same handle (found in entryIndex when given). Pending
+   * reference fields are linked later, but shown and picked on conflicts.
+   * @returns {Object} - { success, skipped, unchanged, action, id, keys,
+   *   error } where unchanged marks entries already holding the source values
+   *   and keys lists the fields a merge or field-by-field choice may write,
+   *   absent when all of them are
+   */
+  async copyMetaobjectEntry(
+    sourceEntry,
+    conflictResolver,
+    dryRun = false,
+    entryIndex = null,
+    pending = []
+  ) {
+    const entryIdentifier = `${sourceEntry.type}/${sourceEntry.handle}`;
+
+    try {
+      // Check if entry exists in target
+      const targetEntry = await this.findTargetEntry(sourceEntry, entryIndex);
+
+      if (!targetEntry) {
+        if (dryRun) {
+          this.logger.dryRunInfo(`Would create entry: ${entryIdentifier}`);
+          return { success: true, action: ENTRY_CONFLICT_ACTIONS.UPDATE };
+        }
+
         // Entry doesn't exist - create it
         const result = await this.client.createMetaobjectEntry(
           sourceEntry.type,
@@ -844,8 +2632,111 @@ export class DefinitionManager {
         }
 
         this.logger.verbose(`Created entry: ${entryIdentifier}`);
-        return { success: true, action: ENTRY_CONFLICT_ACTIONS.UPDATE };
+        return {
+          success: true,
+          action: ENTRY_CONFLICT_ACTIONS.UPDATE,
+          id: result.data?.id,
+        };
+      }
+
+      // An entry already holding the source values needs no write
+      const differences = diffEntryFields(
+        sourceEntry.fields,
+        targetEntry.fields
+      );
+      if (differences.length === 0) {
+        this.logger.verbose(`Entry unchanged: ${entryIdentifier}`);
+        return { unchanged: true, id: targetEntry.id };
+      }
+
+      // Conflict detected - ask user (or the --on-conflict strategy)
+      const conflictingFields = withPendingFields(
+        differences,
+        pending,
+        sourceEntry.fields,
+        targetEntry.fields
+      );
+      const action = await conflictResolver.resolveConflict(
+        sourceEntry,
+        targetEntry,
+        entryIdentifier,
+        conflictingFields
+      );
+
+      if (action === ENTRY_CONFLICT_ACTIONS.QUIT) {
+        return { action: ENTRY_CONFLICT_ACTIONS.QUIT };
+      }
+
+      if (action === ENTRY_CONFLICT_ACTIONS.SKIP) {
+        if (dryRun) {
+          this.logger.dryRunInfo(`Would skip entry: ${entryIdentifier}`);
+        } else {
+          this.logger.verbose(`Skipped entry: ${entryIdentifier}`);
+        }
+        return { skipped: true, id: targetEntry.id };
+      }
+
+      // A merge only fills fields that are empty or missing in the target
+      // entry, including source fields the target entry does not have yet
+      let fields = sourceEntry.fields;
+      let keys;
+      if (action === ENTRY_CONFLICT_ACTIONS.MERGE) {
+        const targetValues = new Map(
+          (targetEntry.fields || []).map((field) => [field.key, field.value])
+        );
+        keys = [
+          ...new Set([
+            ...sourceEntry.fields.map((field) => field.key),
+            ...pending.map(({ field }) => field),
+            ...targetValues.keys(),
+          ]),
+        ].filter((key) => isEmptyFieldValue(targetValues.get(key)));
+      }
+
+      // Field-by-field choice: only the fields taken from the source
+      if (action === ENTRY_CONFLICT_ACTIONS.SELECT_FIELDS) {
+        keys = await conflictResolver.selectFields(conflictingFields);
+      }
+
+      if (keys) {
+        fields = fields.filter((field) => keys.includes(field.key));
+      }
+
+      if (dryRun) {
+        this.logger.dryRunInfo(
+          action === ENTRY_CONFLICT_ACTIONS.MERGE
+            ? `Would fill ${fields.length} empty fields of entry: ${entryIdentifier}`
+            : `Would update entry: ${entryIdentifier}`
+        );
+        return { success: true, action, keys };
+      }
+
+      if (fields.length === 0) {
+        this.logger.verbose(`No fields to write to entry: ${entryIdentifier}`);
+        return { unchanged: true, id: targetEntry.id, keys };
+      }
+
+      // Update existing entry
+      const result = await this.client.upsertMetaobjectEntry(
+        sourceEntry.type,
+        sourceEntry.handle,
+        fields
+      );
+
+      if (!result.success) {
+        throw new Error(
+          `Upsert failed: ${this.formatErrorMessage(result.errors)}`
+        );
       }
+
+      this.logger.verbose(
+        action === ENTRY_CONFLICT_ACTIONS.UPDATE
+          ? `Updated entry: ${entryIdentifier}`
+          : `Updated fields of entry ${entryIdentifier}: ${fields
+              .map((field) => field.key)
+              .join(', ')}`
+      );
+      return { success: true, action, id: result.data?.id, keys };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -918,4 +2809,301 @@ export class DefinitionManager {
 
     return results;
   }
+
+  // Backup and Restore Operations
+
+  /**
+   * Fetch every metafield value stored against a metafield definition
+   * @returns {Array} - [{ ownerId, value }]
+   */
+  async getMetafieldValues(def) {
+    const { nodes } = await this.fetchAllPages(async (after) => {
+      const response = await this.client.getMetafieldDefinitionMetafields(
+        def.id,
+        250,
+        after
+      );
+      if (!response.metafieldDefinition) {
+        throw new Error(`Metafield definition not found: ${def.id}`);
+      }
+      return response.metafieldDefinition.metafields;
+    });
+
+    return nodes.map((node) => ({ ownerId: node.owner.id, value: node.value }));
+  }
+
+  /**
+   * Collect everything a destructive operation could lose: the definitions,
+   * the current entries of each metaobject definition and the metafield
+   * values of each metafield definition
+   * @param {Object} definitions - { metafields, metaobjects } about to be affected
+   * @returns {Object} - Definitions carrying entries and values
+   */
+  async collectBackupData(definitions) {
+    const metafields = [];
+    for (const def of definitions.metafields || []) {
+      this.logger.verbose(
+        `Backing up values for metafield ${def.ownerType}.${def.namespace}.${def.key}`
+      );
+      metafields.push({ ...def, values: await this.getMetafieldValues(def) });
+    }
+
+    const metaobjects = [];
+    for (const def of definitions.metaobjects || []) {
+      this.logger.verbose(`Backing up entries for metaobject ${def.type}`);
+      metaobjects.push({
+        ...def,
+        entries: await this.getMetaobjectEntries(def.type, {
+          throwOnError: true,
+        }),
+      });
+    }
+
+    return { metafields, metaobjects };
+  }
+
+  /**
+   * Conflicting definitions a copy could lose data from: metafields that
+   * will be recreated, metaobjects losing or retyping fields, and metaobjects
+   * whose existing entries may be overwritten
+   * @param {Object} conflicts - { metafields, metaobjects } of { source, target }
+   * @param {Object} options - { allowRecreate, includeEntries }
+   * @returns {Object} - Target definitions to back up
+   */
+  findDestructiveConflicts(conflicts, options = {}) {
+    const { allowRecreate = false, includeEntries = false } = options;
+
+    const metafields = conflicts.metafields
+      .filter(
+        ({ source, target }) =>
+          allowRecreate &&
+          DefinitionChangeSet.forMetafield(source, target).requiresRecreate
+      )
+      .map(({ target }) => target);
+
+    const metaobjects = conflicts.metaobjects
+      .filter(({ source, target }) => {
+        if (includeEntries) return true;
+        const { fieldChanges, requiresRecreate } =
+          DefinitionChangeSet.forMetaobject(source, target);
+        return (
+          fieldChanges.removed.length > 0 || (allowRecreate && requiresRecreate)
+        );
+      })
+      .map(({ target }) => target);
+
+    return { metafields, metaobjects };
+  }
+
+  /**
+   * Replay a backup into this store: definitions missing or changed since
+   * the backup are restored, entries are upserted by handle and metafield
+   * values are written back to their owners
+   * @param {Object} backup - Backup document (see Backup.create)
+   * @param {DefinitionManager} sourceManager - Manager reading the backup file
+   * @param {Object} options - { dryRun }
+   * @returns {Object} - { definitions, entries, values } results
+   */
+  async restoreBackup(backup, sourceManager, options = {}) {
+    const { dryRun = false } = options;
+    const definitions = {
+      metafields: backup.metafields,
+      metaobjects: backup.metaobjects,
+    };
+
+    this.logger.info('Restoring definitions...');
+    const definitionResults = await this.copyDefinitionsWithDependencies(
+      definitions,
+      dryRun,
+      sourceManager
+    );
+
+    if (dryRun) {
+      const entryCount = backup.metaobjects.reduce(
+        (sum, def) => sum + (def.entries || []).length,
+        0
+      );
+      const valueCount = backup.metafields.reduce(
+        (sum, def) => sum + (def.values || []).length,
+        0
+      );
+      this.logger.dryRunInfo(`Would restore ${entryCount} metaobject entries`);
+      this.logger.dryRunInfo(`Would restore ${valueCount} metafield values`);
+      return {
+        definitions: definitionResults,
+        entries: { success: entryCount, errors: [] },
+        values: { success: valueCount, errors: [] },
+      };
+    }
+
+    this.logger.info('Restoring metaobject entries...');
+    const { referenceToId, ...entryResults } =
+      await this.restoreMetaobjectEntries(backup.metaobjects);
+
+    this.logger.info('Restoring metafield values...');
+    const valueResults = await this.restoreMetafieldValues(
+      backup.metafields,
+      referenceToId
+    );
+
+    return {
+      definitions: definitionResults,
+      entries: entryResults,
+      values: valueResults,
+    };
+  }
+
+  /**
+   * Upsert backed-up entries by handle. Entry references inside field values
+   * are resolved to target IDs, so referenced types are restored first and
+   * entries referencing not-yet-restored entries are retried until no
+   * further progress is made.
+   * @returns {Object} - { success, errors, referenceToId }
+   */
+  async restoreMetaobjectEntries(metaobjects) {
+    const results = { success: 0, errors: [], referenceToId: new Map() };
+    const { referenceToId } = results;
+
+    // Entries that survived the destructive run keep their IDs. A failed
+    // fetch would leave them unmapped and recreate them, so fail up front
+    for (const def of metaobjects) {
+      const entries = await this.getMetaobjectEntries(def.type, {
+        throwOnError: true,
+      });
+      for (const entry of entries) {
+        referenceToId.set(
+          metaobjectEntryReference(entry.type, entry.handle),
+          entry.id
+        );
+      }
+    }
+
+    let pending = this.orderMetaobjectsByDependencies(metaobjects, {
+      metaobjects,
+    }).ordered.flatMap((def) => def.entries || []);
+
+    while (pending.length > 0) {
+      const deferred = [];
+
+      for (const entry of pending) {
+        const identifier = `${entry.type}/${entry.handle}`;
+        const unresolved = [];
+        const fields = entry.fields.map((field) => {
+          const resolved = resolveEntryReferences(field.value, referenceToId);
+          unresolved.push(...resolved.unresolved);
+          return { key: field.key, value: resolved.value };
+        });
+
+        if (unresolved.length > 0) {
+          deferred.push({ entry, unresolved });
+          continue;
+        }
+
+        try {
+          const result = await this.client.upsertMetaobjectEntry(
+            entry.type,
+            entry.handle,
+            fields
+          );
+          if (!result.success) {
+            throw new Error(this.formatErrorMessage(result.errors));
+          }
+
+          referenceToId.set(
+            metaobjectEntryReference(entry.type, entry.handle),
+            result.data.id
+          );
+          results.success++;
+          this.logger.verbose(`Restored entry: ${identifier}`);
+        } catch (error) {
+          results.errors.push({
+            type: 'metaobject_entry',
+            identifier,
+            error: error.message,
+          });
+        }
+      }
+
+      if (deferred.length === pending.length) {
+        for (const { entry, unresolved } of deferred) {
+          results.errors.push({
+            type: 'metaobject_entry',
+            identifier: `${entry.type}/${entry.handle}`,
+            error: `Unresolved entry references: ${[
+              ...new Set(unresolved),
+            ].join(', ')}`,
+          });
+        }
+        break;
+      }
+
+      pending = deferred.map(({ entry }) => entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Write backed-up metafield values back to their owners with metafieldsSet
+   * @param {Array} metafields - Backed-up metafield definitions carrying values
+   * @param {Map} referenceToId - Entry reference to target entry ID
+   * @returns {Object} - { success, errors }
+   */
+  async restoreMetafieldValues(metafields, referenceToId) {
+    const results = { success: 0, errors: [] };
+    const inputs = [];
+
+    for (const def of metafields) {
+      for (const { ownerId, value } of def.values || []) {
+        const resolved = resolveEntryReferences(value, referenceToId);
+        const identifier = `${getMetafieldIdentity(def)} on ${ownerId}`;
+
+        if (resolved.unresolved.length > 0) {
+          results.errors.push({
+            type: 'metafield_value',
+            identifier,
+            error: `Unresolved entry references: ${resolved.unresolved.join(
+              ', '
+            )}`,
+          });
+          continue;
+        }
+
+        inputs.push({
+          identifier,
+          input: {
+            ownerId,
+            namespace: def.namespace,
+            key: def.key,
+            type: def.type.name,
+            value: resolved.value,
+          },
+        });
+      }
+    }
+
+    for (let i = 0; i < inputs.length; i += METAFIELDS_SET_BATCH_SIZE) {
+      const batch = inputs.slice(i, i + METAFIELDS_SET_BATCH_SIZE);
+
+      try {
+        const result = await this.client.setMetafields(
+          batch.map(({ input }) => input)
+        );
+        if (!result.success) {
+          throw new Error(this.formatErrorMessage(result.errors));
+        }
+        results.success += batch.length;
+      } catch (error) {
+        batch.forEach(({ identifier }) =>
+          results.errors.push({
+            type: 'metafield_value',
+            identifier,
+            error: error.message,
+          })
+        );
+      }
+    }
+
+    return results;
+  }
 }
@@ -0,0 +1,204 @@
+/**
+ * Shopify Bulk Operations
+ * Starts a bulk operation, polls currentBulkOperation until it finishes and
+ * streams its JSONL result one object per line, so large entry sets are
+ * exported without paging through them 250 at a time, and imported with one
+ * bulk mutation instead of one mutation per entry
+ */
+
+import { createInterface } from 'readline';
+import { Readable } from 'stream';
+import { sleep } from './rate-limiter.js';
+import { httpUpload } from '../utils/file-copy.js';
+
+export const BULK_POLL_INTERVAL_MS = 2000;
+export const BULK_TIMEOUT_MS = 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const VARIABLES_FILENAME = 'bulk-variables.jsonl';
+const VARIABLES_MIME_TYPE = 'text/jsonl';
+
+function formatErrors(errors) {
+  return errors.map((error) => error.message).join(', ');
+}
+
+/**
+ * Default download step: stream a bulk operation result over HTTP
+ * @param {string} url - Result URL of a completed bulk operation
+ * @returns {Readable}
+ */
+export async function httpDownloadStream(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Download of bulk operation result failed: HTTP ${response.status}`
+    );
+  }
+  return Readable.fromWeb(response.body);
+}
+
+export class BulkOperationRunner {
+  /**
+   * @param {Object} client - Store client with runBulkQuery,
+   *   runBulkMutation, createStagedUploads and getCurrentBulkOperation
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - { download, upload, sleep, pollIntervalMs,
+   *   timeoutMs }; download(url) returns a readable stream of the JSONL
+   *   result and defaults to httpDownloadStream, upload(target, file) posts
+   *   the variables of a bulk mutation and defaults to httpUpload
+   */
+  constructor(client, logger, options = {}) {
+    this.client = client;
+    this.logger = logger;
+    this.download = options.download || httpDownloadStream;
+    this.upload = options.upload || httpUpload;
+    this.sleep = options.sleep || sleep;
+    this.pollIntervalMs = options.pollIntervalMs ?? BULK_POLL_INTERVAL_MS;
+    this.timeoutMs = options.timeoutMs ?? BULK_TIMEOUT_MS;
+  }
+
+  /**
+   * Run a bulk query and yield each object of its result
+   * @param {string} query - Bulk operation query
+   */
+  async *runQuery(query) {
+    const started = await this.client.runBulkQuery(query);
+    if (!started.success) {
+      throw new Error(
+        `Bulk query could not start: ${formatErrors(started.errors)}`
+      );
+    }
+
+    const operation = await this.waitForCompletion(started.data.id, 'QUERY');
+    yield* this.readResults(operation.url);
+  }
+
+  /**
+   * Run a bulk mutation once per line of variables and yield the result of
+   * each line; __lineNumber holds the index of its variables
+   * @param {string} mutation - Mutation run for each line
+   * @param {Array} variables - Variables of each line
+   */
+  async *runMutation(mutation, variables) {
+    const stagedUploadPath = await this.stageVariables(variables);
+
+    const started = await this.client.runBulkMutation(
+      mutation,
+      stagedUploadPath
+    );
+    if (!started.success) {
+      throw new Error(
+        `Bulk mutation could not start: ${formatErrors(started.errors)}`
+      );
+    }
+
+    const operation = await this.waitForCompletion(started.data.id, 'MUTATION');
+    yield* this.readResults(operation.url);
+  }
+
+  /**
+   * Upload the variables of a bulk mutation as a JSONL file
+   * @returns {string} - Staged upload path to run the mutation with
+   */
+  async stageVariables(variables) {
+    const staged = await this.client.createStagedUploads([
+      {
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename: VARIABLES_FILENAME,
+        mimeType: VARIABLES_MIME_TYPE,
+        httpMethod: 'POST',
+      },
+    ]);
+    if (!staged.success) {
+      throw new Error(
+        `Staged upload of bulk mutation variables failed: ${formatErrors(
+          staged.errors
+        )}`
+      );
+    }
+
+    const [target] = staged.data;
+    await this.upload(target, {
+      data: Buffer.from(
+        variables.map((line) => JSON.stringify(line)).join('\n')
+      ),
+      filename: VARIABLES_FILENAME,
+      mimeType: VARIABLES_MIME_TYPE,
+    });
+
+    return target.parameters.find((parameter) => parameter.name === 'key')
+      .value;
+  }
+
+  /**
+   * Poll currentBulkOperation until the operation finishes
+   * @param {string} id - Bulk operation ID
+   * @param {string} type - QUERY or MUTATION
+   * @returns {Object} - The completed bulk operation
+   */
+  async waitForCompletion(id, type) {
+    const deadline = Date.now() + this.timeoutMs;
+
+    for (;;) {
+      const response = await this.client.getCurrentBulkOperation(type);
+      const operation = response.currentBulkOperation;
+
+      if (!operation || operation.id !== id) {
+        throw new Error(
+          `Bulk operation ${id} is no longer the current ${type.toLowerCase()} operation`
+        );
+      }
+
+      if (FINISHED_STATUSES.includes(operation.status)) {
+        if (operation.status !== 'COMPLETED') {
+          throw new Error(
+            `Bulk operation ${id} ${operation.status.toLowerCase()}${
+              operation.errorCode ? `: ${operation.errorCode}` : ''
+            }`
+          );
+        }
+        this.logger.verbose(
+          `Bulk operation ${id} completed with ${operation.objectCount} objects`
+        );
+        return operation;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Bulk operation ${id} did not finish within ${Math.round(
+            this.timeoutMs / 1000
+          )}s`
+        );
+      }
+
+      this.logger.verbose(
+        `Bulk operation ${id} ${operation.status.toLowerCase()}: ${
+          operation.objectCount
+        } objects so far`
+      );
+      await this.sleep(this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Stream-parse a JSONL result, one object per line. Operations that
+   * matched nothing complete without a result URL.
+   */
+  async *readResults(url) {
+    if (!url) {
+      return;
+    }
+
+    const lines = createInterface({
+      input: await this.download(url),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+}
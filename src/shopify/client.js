@@ -1,15 +1,62 @@
 import { FRAGMENTS, QUERIES } from './graphql-fragments.js';
 import { ErrorProcessor } from '../utils/error-processor.js';
+import {
+  CostRateLimiter,
+  MAX_THROTTLE_RETRIES,
+  THROTTLE_FALLBACK_DELAY_MS,
+  isThrottled,
+  sleep,
+} from './rate-limiter.js';
+import {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRY_ATTEMPTS,
+  requestError,
+  httpError,
+  networkError,
+  isSafeToRetry,
+  backoffDelay,
+} from './retry.js';
+
+export const DEFAULT_API_VERSION = '2025-10';
+
+/**
+ * Reduce a configured store URL to its host, so both
+ * "https://shop.example.com/" and "shop.myshopify.com" work
+ */
+function normalizeDomain(domain) {
+  if (!domain) return null;
+  return domain
+    .trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+}
 
 export class ShopifyClient {
-  constructor(token, storeName = null) {
+  constructor(token, storeName = null, options = {}) {
     if (!token) {
       throw new Error('Shopify access token is required');
     }
 
     this.token = token;
     this.storeName = storeName || this.extractStoreFromToken(token);
-    this.apiUrl = `https://${this.storeName}.myshopify.com/admin/api/2025-10/graphql.json`;
+    this.domain =
+      normalizeDomain(options.domain) || `${this.storeName}.myshopify.com`;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.apiUrl = `https://${this.domain}/admin/api/${this.apiVersion}/graphql.json`;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    this.retryAttempts = options.retryAttempts ?? DEFAULT_RETRY_ATTEMPTS;
+    this.logger = null;
+    this.rateLimiter = new CostRateLimiter(this.storeName);
+  }
+
+  /**
+   * Create a client from a store configuration (see ConfigManager.getStoreConfig)
+   * @param {Object} storeConfig - { accessToken, storeName, domain, apiVersion, timeout, retryAttempts }
+   * @returns {ShopifyClient}
+   */
+  static fromStoreConfig(storeConfig) {
+    const { accessToken, storeName, ...options } = storeConfig;
+    return new ShopifyClient(accessToken, storeName, options);
   }
 
   extractStoreFromToken(token) {
@@ -20,7 +67,80 @@ export class ShopifyClient {
     );
   }
 
-  async query(query, variables = {}) {
+  /**
+   * Attach the command logger so rate-limit waits show up in verbose logs
+   */
+  setLogger(logger) {
+    this.logger = logger;
+    this.rateLimiter.logger = logger;
+  }
+
+  /**
+   * Run a GraphQL request with the configured timeout and retry policy.
+   * Queries are always retried on transient failures; mutations only when
+   * marked idempotent or when Shopify certainly did not run them.
+   * @param {string} query - GraphQL query or mutation
+   * @param {Object} variables - GraphQL variables
+   * @param {Object} options - { idempotent }
+   */
+  async query(query, variables = {}, options = {}) {
+    const isMutation = /^\s*mutation\b/.test(query);
+    const idempotent = options.idempotent ?? !isMutation;
+    const operation = query.match(/(?:query|mutation)\s+(\w+)/)?.[1] || 'query';
+    const maxAttempts = this.retryAttempts + 1;
+    let attempt = 1;
+    let throttleRetries = 0;
+
+    for (;;) {
+      try {
+        await this.rateLimiter.acquire(query);
+        return await this.request(query, variables);
+      } catch (error) {
+        // Throttling has its own retry budget, so sustained throttling on
+        // long runs does not use up the retries for network and HTTP errors
+        if (error.throttled) {
+          if (throttleRetries >= MAX_THROTTLE_RETRIES) {
+            throw new Error(
+              `Shopify API request failed: ${error.message} (after ${MAX_THROTTLE_RETRIES} throttle retries)`
+            );
+          }
+          throttleRetries++;
+
+          // Throttled requests wait for the budget in the rate limiter instead
+          const delay = error.budgetKnown ? 0 : THROTTLE_FALLBACK_DELAY_MS;
+          this.logger?.warning(
+            `${operation} throttled by ${this.storeName}; retrying in ${delay}ms (throttle retry ${throttleRetries} of ${MAX_THROTTLE_RETRIES})`
+          );
+          await sleep(delay);
+          continue;
+        }
+
+        if (attempt >= maxAttempts || !isSafeToRetry(error, idempotent)) {
+          const unsafe = error.retryable && !isSafeToRetry(error, idempotent);
+          throw new Error(
+            `Shopify API request failed: ${error.message}${
+              unsafe ? ' (not retried: the mutation may already have run)' : ''
+            }`
+          );
+        }
+
+        const delay = error.retryAfterMs ?? backoffDelay(attempt);
+        this.logger?.warning(
+          `${operation} on ${this.storeName} failed: ${
+            error.message
+          }; retrying in ${delay}ms (attempt ${attempt + 1} of ${maxAttempts})`
+        );
+        attempt++;
+        await sleep(delay);
+      }
+    }
+  }
+
+  async request(query, variables) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let data;
+
     try {
       const response = await fetch(this.apiUrl, {
         method: 'POST',
@@ -32,26 +152,43 @@ export class ShopifyClient {
           query,
           variables,
         }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw httpError(response);
       }
 
-      const data = await response.json();
+      data = await response.json();
+    } catch (error) {
+      throw error.retryable === undefined
+        ? networkError(error, this.timeout)
+        : error;
+    } finally {
+      clearTimeout(timer);
+    }
 
-      if (data.errors && data.errors.length > 0) {
-        throw new Error(`GraphQL Error: ${JSON.stringify(data.errors)}`);
-      }
+    const cost = data.extensions?.cost;
+    this.rateLimiter.update(query, cost);
 
-      return data.data;
-    } catch (error) {
-      throw new Error(`Shopify API request failed: ${error.message}`);
+    if (isThrottled(data.errors)) {
+      throw requestError('Throttled: query cost exceeds available budget', {
+        retryable: true,
+        delivered: false,
+        throttled: true,
+        budgetKnown: Boolean(cost?.throttleStatus),
+      });
     }
+
+    if (data.errors && data.errors.length > 0) {
+      throw requestError(`GraphQL Error: ${JSON.stringify(data.errors)}`);
+    }
+
+    return data.data;
   }
 
   // Metafield Definition Operations
-  async getMetafieldDefinitions(ownerType = null) {
+  async getMetafieldDefinitions(ownerType = null, first = 100, after = null) {
     const filters = ownerType ? 'ownerType: $ownerType' : '';
     const filterVariables = ownerType ? '$ownerType: MetafieldOwnerType!' : '';
     const query = QUERIES.buildPaginatedQuery(
@@ -61,7 +198,7 @@ export class ShopifyClient {
       filterVariables
     );
 
-    const variables = { first: 100 };
+    const variables = { first, after };
     if (ownerType) {
       variables.ownerType = ownerType;
     }
@@ -90,6 +227,31 @@ export class ShopifyClient {
     };
   }
 
+  async updateMetafieldDefinition(definition) {
+    const mutation = QUERIES.buildCreateMutation(
+      'metafieldDefinitionUpdate',
+      'MetafieldDefinitionUpdateInput!',
+      `updatedDefinition { ${FRAGMENTS.METAFIELD_DEFINITION} }`
+    );
+
+    const response = await this.query(
+      mutation,
+      { definition },
+      { idempotent: true }
+    );
+    const result = ErrorProcessor.processShopifyErrors(
+      response.metafieldDefinitionUpdate,
+      'updateMetafieldDefinition',
+      `${definition.namespace}.${definition.key}`
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.metafieldDefinitionUpdate?.updatedDefinition,
+      errors: result,
+    };
+  }
+
   async deleteMetafieldDefinition(id) {
     const mutation = `
       mutation DeleteMetafieldDefinition($id: ID!) {
@@ -114,13 +276,66 @@ export class ShopifyClient {
     };
   }
 
+  // Metafield Value Operations
+  async getMetafieldDefinitionMetafields(id, first = 250, after = null) {
+    const query = `
+      query GetMetafieldDefinitionMetafields($id: ID!, $first: Int!, $after: String) {
+        metafieldDefinition(id: $id) {
+          metafields(first: $first, after: $after) {
+            edges {
+              node {
+                ${FRAGMENTS.METAFIELD_VALUE}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    return await this.query(query, { id, first, after });
+  }
+
+  async setMetafields(metafields) {
+    const mutation = `
+      mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+          }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+
+    const response = await this.query(
+      mutation,
+      { metafields },
+      { idempotent: true }
+    );
+    const result = ErrorProcessor.processShopifyErrors(
+      response.metafieldsSet,
+      'setMetafields',
+      `${metafields.length} metafields`
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.metafieldsSet?.metafields,
+      errors: result,
+    };
+  }
+
   // Metaobject Definition Operations
-  async getMetaobjectDefinitions() {
+  async getMetaobjectDefinitions(first = 100, after = null) {
     const query = QUERIES.buildPaginatedQuery(
       'metaobjectDefinitions',
       FRAGMENTS.METAOBJECT_DEFINITION
     );
-    return await this.query(query, { first: 100 });
+    return await this.query(query, { first, after });
   }
 
   async createMetaobjectDefinition(definition) {
@@ -144,6 +359,30 @@ export class ShopifyClient {
     };
   }
 
+  async updateMetaobjectDefinition(id, definition) {
+    const mutation = `
+      mutation UpdateMetaobjectDefinition($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+        metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+          metaobjectDefinition { ${FRAGMENTS.METAOBJECT_DEFINITION} }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+
+    const response = await this.query(mutation, { id, definition });
+    const result = ErrorProcessor.processShopifyErrors(
+      response.metaobjectDefinitionUpdate,
+      'updateMetaobjectDefinition',
+      id
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.metaobjectDefinitionUpdate?.metaobjectDefinition,
+      errors: result,
+    };
+  }
+
   async deleteMetaobjectDefinition(id) {
     const mutation = `
       mutation DeleteMetaobjectDefinition($id: ID!) {
@@ -169,14 +408,29 @@ export class ShopifyClient {
   }
 
   // Metaobject Entry Operations
-  async getMetaobjectEntries(type, first = 250, after = null) {
-    const query = QUERIES.buildPaginatedQuery(
-      'metaobjects',
-      FRAGMENTS.METAOBJECT_ENTRY,
-      'type: $type',
-      '$type: String!'
-    );
-    const response = await this.query(query, { type, first, after });
+  /**
+   * @param {string} search - Search syntax filter, e.g. "updated_at:>='...'"
+   */
+  async getMetaobjectEntries(type, first = 250, after = null, search = null) {
+    const query = search
+      ? QUERIES.buildPaginatedQuery(
+          'metaobjects',
+          FRAGMENTS.METAOBJECT_ENTRY,
+          'type: $type, query: $query',
+          '$type: String!, $query: String'
+        )
+      : QUERIES.buildPaginatedQuery(
+          'metaobjects',
+          FRAGMENTS.METAOBJECT_ENTRY,
+          'type: $type',
+          '$type: String!'
+        );
+    const response = await this.query(query, {
+      type,
+      first,
+      after,
+      ...(search ? { query: search } : {}),
+    });
 
     return response;
   }
@@ -268,7 +522,11 @@ export class ShopifyClient {
       metaobject.capabilities = capabilities;
     }
 
-    const response = await this.query(mutation, { id, metaobject });
+    const response = await this.query(
+      mutation,
+      { id, metaobject },
+      { idempotent: true }
+    );
     const result = ErrorProcessor.processShopifyErrors(
       response.metaobjectUpdate,
       'updateMetaobjectEntry',
@@ -305,10 +563,11 @@ export class ShopifyClient {
       metaobject.capabilities = capabilities;
     }
 
-    const response = await this.query(mutation, {
-      handle: { type, handle },
-      metaobject,
-    });
+    const response = await this.query(
+      mutation,
+      { handle: { type, handle }, metaobject },
+      { idempotent: true }
+    );
 
     const result = ErrorProcessor.processShopifyErrors(
       response.metaobjectUpsert,
@@ -346,4 +605,233 @@ export class ShopifyClient {
       errors: result,
     };
   }
+
+  // Reference Lookups (natural keys used to remap entry references)
+  async getNodes(ids) {
+    const query = `
+      query GetNodes($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ${FRAGMENTS.REFERENCE_NODE}
+        }
+      }
+    `;
+
+    return await this.query(query, { ids });
+  }
+
+  async getProductByHandle(handle) {
+    const query = `
+      query GetProductByHandle($handle: String!) {
+        productByIdentifier(identifier: { handle: $handle }) {
+          id
+        }
+      }
+    `;
+
+    return await this.query(query, { handle });
+  }
+
+  async getCollectionByHandle(handle) {
+    const query = `
+      query GetCollectionByHandle($handle: String!) {
+        collectionByIdentifier(identifier: { handle: $handle }) {
+          id
+        }
+      }
+    `;
+
+    return await this.query(query, { handle });
+  }
+
+  async getPagesByHandle(handle) {
+    const query = `
+      query GetPagesByHandle($query: String!) {
+        pages(first: 10, query: $query) {
+          edges {
+            node {
+              id
+              handle
+            }
+          }
+        }
+      }
+    `;
+
+    return await this.query(query, { query: `handle:${handle}` });
+  }
+
+  async getProductVariantsBySku(sku) {
+    const query = `
+      query GetProductVariantsBySku($query: String!) {
+        productVariants(first: 10, query: $query) {
+          edges {
+            node {
+              id
+              sku
+            }
+          }
+        }
+      }
+    `;
+
+    return await this.query(query, { query: `sku:${JSON.stringify(sku)}` });
+  }
+
+  // Files (file references of metaobject entries)
+  async getFilesByFilename(filename) {
+    const query = `
+      query GetFilesByFilename($query: String!) {
+        files(first: 10, query: $query) {
+          edges {
+            node {
+              ${FRAGMENTS.FILE_NODE}
+            }
+          }
+        }
+      }
+    `;
+
+    return await this.query(query, {
+      query: `filename:${JSON.stringify(filename)}`,
+    });
+  }
+
+  async createStagedUploads(input) {
+    const mutation = `
+      mutation CreateStagedUploads($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.query(
+      mutation,
+      { input },
+      { idempotent: true }
+    );
+    const result = ErrorProcessor.processShopifyErrors(
+      response.stagedUploadsCreate,
+      'createStagedUploads',
+      input.map((upload) => upload.filename).join(', ')
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.stagedUploadsCreate?.stagedTargets,
+      errors: result,
+    };
+  }
+
+  async createFiles(files) {
+    const mutation = `
+      mutation CreateFiles($files: [FileCreateInput!]!) {
+        fileCreate(files: $files) {
+          files {
+            ${FRAGMENTS.FILE_NODE}
+          }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+
+    const response = await this.query(mutation, { files });
+    const result = ErrorProcessor.processShopifyErrors(
+      response.fileCreate,
+      'createFiles',
+      files.map((file) => file.filename).join(', ')
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.fileCreate?.files,
+      errors: result,
+    };
+  }
+
+  // Bulk Operations
+  async runBulkQuery(bulkQuery) {
+    const mutation = `
+      mutation RunBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            ${FRAGMENTS.BULK_OPERATION}
+          }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+
+    const response = await this.query(mutation, { query: bulkQuery });
+    const result = ErrorProcessor.processShopifyErrors(
+      response.bulkOperationRunQuery,
+      'runBulkQuery',
+      'bulk query'
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.bulkOperationRunQuery?.bulkOperation,
+      errors: result,
+    };
+  }
+
+  /**
+   * @param {string} mutation - Mutation run once per line of the variables file
+   * @param {string} stagedUploadPath - Key of the staged JSONL variables file
+   */
+  async runBulkMutation(mutation, stagedUploadPath) {
+    const bulkMutation = `
+      mutation RunBulkMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            ${FRAGMENTS.BULK_OPERATION}
+          }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+
+    const response = await this.query(bulkMutation, {
+      mutation,
+      stagedUploadPath,
+    });
+    const result = ErrorProcessor.processShopifyErrors(
+      response.bulkOperationRunMutation,
+      'runBulkMutation',
+      'bulk mutation'
+    );
+
+    return {
+      success: result.length === 0,
+      data: response.bulkOperationRunMutation?.bulkOperation,
+      errors: result,
+    };
+  }
+
+  /**
+   * @param {string} type - QUERY or MUTATION
+   */
+  async getCurrentBulkOperation(type = 'QUERY') {
+    const query = `
+      query GetCurrentBulkOperation($type: BulkOperationType!) {
+        currentBulkOperation(type: $type) {
+          ${FRAGMENTS.BULK_OPERATION}
+        }
+      }
+    `;
+
+    return await this.query(query, { type });
+  }
 }
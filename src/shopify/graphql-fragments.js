@@ -3,6 +3,26 @@
  * Reduces duplication and ensures consistency across operations
  */
 
+// URL and alt text of the file kinds a file_reference field can point to
+const FILE_SOURCE = `
+  ... on MediaImage {
+    alt
+    image {
+      url
+    }
+  }
+  ... on GenericFile {
+    alt
+    url
+  }
+  ... on Video {
+    alt
+    originalSource {
+      url
+    }
+  }
+`;
+
 // Common field fragments
 export const FRAGMENTS = {
   METAFIELD_DEFINITION: `
@@ -113,6 +133,55 @@ export const FRAGMENTS = {
     }
   `,
 
+  REFERENCE_NODE: `
+    id
+    ... on Metaobject {
+      type
+      handle
+    }
+    ... on Product {
+      handle
+    }
+    ... on Collection {
+      handle
+    }
+    ... on Page {
+      handle
+    }
+    ... on ProductVariant {
+      sku
+    }
+    ${FILE_SOURCE}
+  `,
+
+  FILE_NODE: `
+    id
+    fileStatus
+    ${FILE_SOURCE}
+  `,
+
+  METAFIELD_VALUE: `
+    id
+    namespace
+    key
+    type
+    value
+    owner {
+      ... on Node {
+        id
+      }
+    }
+  `,
+
+  BULK_OPERATION: `
+    id
+    status
+    errorCode
+    objectCount
+    url
+    partialDataUrl
+  `,
+
   ERROR_FRAGMENT: `
     userErrors {
       field
@@ -133,7 +202,10 @@ export const QUERIES = {
     // For metaobjects, the type parameter must come FIRST
     let queryParams;
     if (resource === 'metaobjects' && filters.includes('type: $type')) {
-      queryParams = `type: $type, first: $first, after: $after`;
+      const otherFilters = filters.replace(/type: \$type(, )?/, '');
+      queryParams = `type: $type, first: $first, after: $after${
+        otherFilters ? ', ' + otherFilters : ''
+      }`;
     } else {
       queryParams = `first: $first, after: $after${
         filters ? ', ' + filters : ''
@@ -160,6 +232,49 @@ export const QUERIES = {
     return query;
   },
 
+  /**
+   * Build a bulk operation query over every entry of a metaobject type.
+   * Bulk queries take no variables or pagination arguments.
+   * @param {string} type - Metaobject type
+   * @param {string} search - Search syntax filter, optional
+   */
+  buildBulkMetaobjectEntriesQuery(type, search = null) {
+    const filters = search
+      ? `type: ${JSON.stringify(type)}, query: ${JSON.stringify(search)}`
+      : `type: ${JSON.stringify(type)}`;
+
+    return `
+      {
+        metaobjects(${filters}) {
+          edges {
+            node {
+              ${FRAGMENTS.METAOBJECT_ENTRY}
+            }
+          }
+        }
+      }
+    `;
+  },
+
+  /**
+   * Build the metaobjectUpsert mutation run for each line of a bulk import.
+   * Its variables (handle, metaobject) come from the staged JSONL file.
+   */
+  buildBulkMetaobjectUpsertMutation() {
+    return `
+      mutation UpsertMetaobjectEntry($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+        metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+          metaobject {
+            id
+            type
+            handle
+          }
+          ${FRAGMENTS.ERROR_FRAGMENT}
+        }
+      }
+    `;
+  },
+
   /**
    * Build a create mutation with consistent error handling
    */
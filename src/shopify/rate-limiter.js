@@ -0,0 +1,112 @@
+/**
+ * Cost-based rate limiting for the Shopify Admin GraphQL API
+ * Shopify meters each store with a bucket of query cost points that refills
+ * at a fixed restore rate, and reports the bucket in every response under
+ * extensions.cost.throttleStatus. The limiter tracks that budget for one
+ * store, waits before sending a query the bucket cannot afford and reserves
+ * the cost so concurrent queries do not overdraw it together.
+ */
+
+// Retries for a query answered with a THROTTLED error, counted apart from
+// the retry budget for network and HTTP failures
+export const MAX_THROTTLE_RETRIES = 5;
+
+// Wait after a THROTTLED error that carried no cost information
+export const THROTTLE_FALLBACK_DELAY_MS = 1000;
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a GraphQL response was rejected for exceeding the cost budget
+ */
+export function isThrottled(errors) {
+  return (errors || []).some((error) => error.extensions?.code === 'THROTTLED');
+}
+
+export class CostRateLimiter {
+  constructor(storeName, logger = null) {
+    this.storeName = storeName;
+    this.logger = logger;
+    this.throttleStatus = null;
+    this.updatedAt = 0;
+    // Requested cost of each query text, learned from earlier responses
+    this.requestedCosts = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Points available now, counting what was restored since the last update
+   */
+  available(now = Date.now()) {
+    const { maximumAvailable, currentlyAvailable, restoreRate } =
+      this.throttleStatus;
+    const restored = ((now - this.updatedAt) / 1000) * restoreRate;
+    return Math.min(maximumAvailable, currentlyAvailable + restored);
+  }
+
+  /**
+   * Wait until the bucket can afford a query, then reserve its cost.
+   * Reservations are queued so waiting queries proceed in order.
+   * @param {string} query - GraphQL query text
+   */
+  acquire(query) {
+    const reservation = this.queue.then(() => this.reserve(query));
+    this.queue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  async reserve(query) {
+    const requestedCost = this.requestedCosts.get(query);
+    if (!this.throttleStatus || requestedCost === undefined) {
+      return;
+    }
+
+    const { maximumAvailable, restoreRate } = this.throttleStatus;
+    const cost = Math.min(requestedCost, maximumAvailable);
+    const available = this.available();
+
+    if (available < cost) {
+      const waitMs = Math.ceil(((cost - available) / restoreRate) * 1000);
+      this.logger?.verbose(
+        `Rate limit: ${this.storeName} has ${Math.floor(
+          available
+        )}/${maximumAvailable} cost points, query needs ${requestedCost}; waiting ${waitMs}ms`
+      );
+      await sleep(waitMs);
+    }
+
+    this.throttleStatus = {
+      ...this.throttleStatus,
+      currentlyAvailable: this.available() - cost,
+    };
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Record the cost extension of a response
+   * @param {string} query - GraphQL query text
+   * @param {Object} cost - extensions.cost from the response
+   */
+  update(query, cost) {
+    if (!cost) {
+      return;
+    }
+
+    if (cost.requestedQueryCost !== undefined) {
+      this.requestedCosts.set(query, cost.requestedQueryCost);
+    }
+
+    if (cost.throttleStatus) {
+      const { maximumAvailable, currentlyAvailable, restoreRate } =
+        cost.throttleStatus;
+      this.throttleStatus = {
+        maximumAvailable,
+        currentlyAvailable,
+        restoreRate,
+      };
+      this.updatedAt = Date.now();
+    }
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Retry policy for Shopify Admin API requests
+ * Failed requests are classified as retryable or not, and by whether the
+ * request may already have been executed by Shopify. Queries and idempotent
+ * mutations are retried on any retryable failure; other mutations only when
+ * Shopify certainly did not run them (throttled, HTTP 429, connection never
+ * established), so a retry cannot apply a change twice.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+export const DEFAULT_RETRY_ATTEMPTS = 3;
+export const RETRY_BASE_DELAY_MS = 500;
+export const RETRY_MAX_DELAY_MS = 10000;
+
+// Network error codes raised before the request reached Shopify
+const NOT_DELIVERED_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+/**
+ * Create a request error carrying retry metadata
+ * @param {string} message - Error message
+ * @param {Object} details - { retryable, delivered, throttled, budgetKnown, retryAfterMs }
+ * @returns {Error}
+ */
+export function requestError(message, details = {}) {
+  const { retryable = false, delivered = true, ...extra } = details;
+  return Object.assign(new Error(message), { retryable, delivered, ...extra });
+}
+
+/**
+ * Classify a failed HTTP response
+ */
+export function httpError(response) {
+  const message = `HTTP ${response.status}: ${response.statusText}`;
+
+  if (response.status === 429) {
+    const retryAfter = parseFloat(response.headers?.get('Retry-After'));
+    return requestError(message, {
+      retryable: true,
+      delivered: false,
+      retryAfterMs: Number.isNaN(retryAfter) ? undefined : retryAfter * 1000,
+    });
+  }
+
+  if (response.status >= 500) {
+    return requestError(message, { retryable: true });
+  }
+
+  return requestError(message);
+}
+
+/**
+ * Classify an error thrown by fetch: timeouts and network failures
+ */
+export function networkError(error, timeout) {
+  if (error.name === 'AbortError') {
+    return requestError(`Request timed out after ${timeout}ms`, {
+      retryable: true,
+    });
+  }
+
+  const code = error.cause?.code;
+  return requestError(
+    `Network error: ${error.message}${code ? ` (${code})` : ''}`,
+    {
+      retryable: true,
+      delivered: !NOT_DELIVERED_ERROR_CODES.includes(code),
+    }
+  );
+}
+
+/**
+ * Whether a failed request may be sent again
+ * @param {Error} error - Error created by requestError
+ * @param {boolean} idempotent - Whether repeating the request is harmless
+ */
+export function isSafeToRetry(error, idempotent) {
+  return Boolean(error.retryable) && (idempotent || !error.delivered);
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half random
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(attempt) {
+  const delay = Math.min(
+    RETRY_MAX_DELAY_MS,
+    RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
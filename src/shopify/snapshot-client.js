@@ -0,0 +1,97 @@
+import { Snapshot } from '../utils/snapshot.js';
+
+/**
+ * Read-only stand-in for ShopifyClient that serves definitions and entries
+ * from a snapshot file. Responses mirror the GraphQL shapes returned by
+ * ShopifyClient so DefinitionManager can use a snapshot as a copy source.
+ */
+export class SnapshotClient {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.snapshot = Snapshot.read(filePath);
+    this.storeName = this.snapshot.store || filePath;
+    this.apiVersion = this.snapshot.apiVersion;
+  }
+
+  static fromFile(filePath) {
+    return new SnapshotClient(filePath);
+  }
+
+  /**
+   * Wrap nodes in a single-page connection
+   */
+  toConnection(nodes) {
+    return {
+      edges: nodes.map((node) => ({ node, cursor: null })),
+      pageInfo: { hasNextPage: false, endCursor: null },
+    };
+  }
+
+  /**
+   * Strip snapshot-only properties from a metaobject definition
+   */
+  toDefinition(def) {
+    const { entries, ...definition } = def;
+    return definition;
+  }
+
+  findMetaobjectDefinition(type) {
+    return this.snapshot.metaobjects.find((def) => def.type === type) || null;
+  }
+
+  async getMetafieldDefinitions(ownerType = null) {
+    const nodes = this.snapshot.metafields.filter(
+      (def) => !ownerType || def.ownerType === ownerType
+    );
+    return { metafieldDefinitions: this.toConnection(nodes) };
+  }
+
+  async getMetaobjectDefinitions() {
+    return {
+      metaobjectDefinitions: this.toConnection(
+        this.snapshot.metaobjects.map((def) => this.toDefinition(def))
+      ),
+    };
+  }
+
+  async getMetaobjectEntries(type) {
+    const def = this.findMetaobjectDefinition(type);
+    return { metaobjects: this.toConnection(def?.entries || []) };
+  }
+
+  async getMetaobjectDefinitionWithEntriesCount(type) {
+    const def = this.findMetaobjectDefinition(type);
+    return {
+      metaobjectDefinitionByType: def
+        ? {
+            id: def.id,
+            name: def.name,
+            type: def.type,
+            metaobjectsCount: (def.entries || []).length,
+          }
+        : null,
+    };
+  }
+
+  async getMetaobjectByHandle(type, handle) {
+    const def = this.findMetaobjectDefinition(type);
+    return {
+      metaobjectByHandle:
+        def?.entries?.find((entry) => entry.handle === handle) || null,
+    };
+  }
+
+  /**
+   * Snapshots store metaobject entry references by type and handle already;
+   * other store IDs (products, collections, ...) cannot be looked up offline
+   */
+  async getNodes(ids) {
+    return { nodes: ids.map(() => null) };
+  }
+
+  async query() {
+    throw new Error(
+      `Snapshot ${this.filePath} is read-only and cannot run GraphQL queries`
+    );
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Access settings mapping for copied definitions
+ * The Admin API reports access values that a merchant token cannot set, for
+ * example admin PUBLIC_READ_WRITE on app-owned definitions. The policy maps
+ * such values to settable ones and records every downgrade so copy and plan
+ * can report them.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+// Access values each definition kind accepts as input
+export const SETTABLE_ACCESS = {
+  metafield: {
+    admin: ['MERCHANT_READ', 'MERCHANT_READ_WRITE'],
+    storefront: ['NONE', 'PUBLIC_READ'],
+    customerAccount: ['NONE', 'READ', 'READ_WRITE'],
+  },
+  metaobject: {
+    admin: ['MERCHANT_READ', 'MERCHANT_READ_WRITE'],
+    storefront: ['NONE', 'PUBLIC_READ'],
+  },
+};
+
+// Default mapping for reported values that cannot be set
+export const DEFAULT_ACCESS_MAPPING = {
+  admin: {
+    PUBLIC_READ_WRITE: 'MERCHANT_READ_WRITE',
+    PUBLIC_READ: 'MERCHANT_READ',
+  },
+  storefront: {},
+  customerAccount: {},
+};
+
+export class AccessPolicy {
+  /**
+   * @param {Object} mapping - Per setting overrides, e.g. { admin: { PUBLIC_READ_WRITE: 'MERCHANT_READ' } }
+   */
+  constructor(mapping = {}) {
+    this.mapping = Object.fromEntries(
+      Object.entries(DEFAULT_ACCESS_MAPPING).map(([setting, defaults]) => [
+        setting,
+        { ...defaults, ...(mapping[setting] || {}) },
+      ])
+    );
+    this.downgrades = new Map();
+  }
+
+  /**
+   * Load a mapping file (JSON) and check every mapped value can be set
+   */
+  static fromFile(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Access mapping file not found: ${filePath}`);
+    }
+
+    const mapping = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    for (const [setting, values] of Object.entries(mapping)) {
+      if (!DEFAULT_ACCESS_MAPPING[setting]) {
+        throw new Error(
+          `Unknown access setting '${setting}' in ${filePath} (expected ${Object.keys(
+            DEFAULT_ACCESS_MAPPING
+          ).join(', ')})`
+        );
+      }
+
+      const settable = new Set(
+        Object.values(SETTABLE_ACCESS).flatMap((kind) => kind[setting] || [])
+      );
+      for (const [from, to] of Object.entries(values)) {
+        if (!settable.has(to)) {
+          throw new Error(
+            `Invalid access mapping ${setting}.${from} -> ${to} in ${filePath}: ${to} cannot be set`
+          );
+        }
+      }
+    }
+
+    return new AccessPolicy(mapping);
+  }
+
+  /**
+   * Map a definition's access to values the target can set
+   * @param {string} resource - 'metafield' or 'metaobject'
+   * @param {string} identifier - Definition identifier for reporting
+   * @param {Object} access - Access as reported by the source store
+   * @returns {Object|null} - Access input, or null when nothing can be set
+   */
+  map(resource, identifier, access) {
+    if (!access) {
+      return null;
+    }
+
+    const input = {};
+
+    for (const [setting, settable] of Object.entries(
+      SETTABLE_ACCESS[resource]
+    )) {
+      const value = access[setting];
+      if (!value) {
+        continue;
+      }
+
+      if (settable.includes(value)) {
+        input[setting] = value;
+        continue;
+      }
+
+      const mapped = this.mapping[setting]?.[value];
+      const to = settable.includes(mapped) ? mapped : null;
+      if (to) {
+        input[setting] = to;
+      }
+
+      this.downgrades.set(`${resource}:${identifier}:${setting}`, {
+        resource,
+        identifier,
+        setting,
+        from: value,
+        to,
+      });
+    }
+
+    return Object.keys(input).length > 0 ? input : null;
+  }
+
+  /**
+   * Every value mapped so far, once per definition and setting
+   */
+  getDowngrades() {
+    return [...this.downgrades.values()];
+  }
+
+  static describe(downgrade) {
+    return `${downgrade.resource} ${downgrade.identifier}: ${
+      downgrade.setting
+    } ${downgrade.from} -> ${downgrade.to || 'target default (no mapping)'}`;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Automatic pre-destructive backups
+ * Before definitions are deleted, recreated or overwritten, the affected
+ * definitions, their entries and their metafield values are written to a
+ * timestamped file in snapshot format, which the restore command replays
+ */
+
+import { mkdirSync } from 'fs';
+import { join } from 'path';
+import { Snapshot } from './snapshot.js';
+import { DEFAULT_BACKUP_DIR } from './constants.js';
+
+export const BACKUP_KIND = 'backup';
+
+export class Backup {
+  /**
+   * Build a backup document from data collected by
+   * DefinitionManager.collectBackupData
+   * @param {Object} definitions - { metafields (with values), metaobjects (with entries) }
+   * @param {Object} meta - { store, apiVersion, operation }
+   * @returns {Object} - Backup document
+   */
+  static create(definitions, meta = {}) {
+    const snapshot = Snapshot.fromDefinitions(definitions, meta);
+
+    return {
+      ...snapshot,
+      kind: BACKUP_KIND,
+      operation: meta.operation || null,
+      counts: {
+        ...snapshot.counts,
+        metafieldValues: snapshot.metafields.reduce(
+          (sum, def) => sum + (def.values || []).length,
+          0
+        ),
+      },
+    };
+  }
+
+  /**
+   * Timestamped file path for a new backup
+   */
+  static buildPath(store, operation, dir = DEFAULT_BACKUP_DIR) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return join(dir, `${store}-${operation}-${timestamp}.json`);
+  }
+
+  /**
+   * Write a backup into the backups directory
+   * @returns {string} - Path of the written file
+   */
+  static write(backup, dir = DEFAULT_BACKUP_DIR) {
+    mkdirSync(dir, { recursive: true });
+    const filePath = Backup.buildPath(backup.store, backup.operation, dir);
+    Snapshot.write(filePath, backup);
+    return filePath;
+  }
+
+  static read(filePath) {
+    const backup = Snapshot.read(filePath);
+
+    if (backup.kind !== BACKUP_KIND) {
+      throw new Error(
+        `Not a backup file: ${filePath} (use copy --from-file to apply snapshots)`
+      );
+    }
+
+    return backup;
+  }
+}
@@ -7,6 +7,11 @@ import {
 } from './config.js';
 import { createLogger } from './logger.js';
 import { DefinitionManager } from '../managers/definition.js';
+import { ManifestParser } from './manifest.js';
+import { SnapshotClient } from '../shopify/snapshot-client.js';
+import { BulkOperationRunner } from '../shopify/bulk-operations.js';
+import { Backup } from './backup.js';
+import { AccessPolicy } from './access-policy.js';
 import {
   isReservedMetafieldNamespace,
   isReservedMetaobjectType,
@@ -66,6 +71,7 @@ export class CommandHandler {
   createShopifyClient(storeName, options = {}) {
     try {
       const client = createShopifyClient(storeName);
+      client.setLogger(this.logger);
 
       if (this.getEnvironment().debug) {
         this.logger.debug(`Created Shopify client for store: ${storeName}`, {
@@ -217,6 +223,7 @@ export class CommandHandler {
       const clients = {};
       storeNamesOrSingleStore.forEach((storeName) => {
         clients[storeName] = createShopifyClient(storeName);
+        clients[storeName].setLogger(this.logger);
       });
       this.logger.verbose('Connected to stores', {
         stores: storeNamesOrSingleStore,
@@ -226,11 +233,118 @@ export class CommandHandler {
       // New pattern: single store name
       validateStoreNames([storeNamesOrSingleStore]);
       const client = createShopifyClient(storeNamesOrSingleStore);
+      client.setLogger(this.logger);
       const manager = new DefinitionManager(client, this.logger);
+      // --bulk-export: fetch entries of live stores with bulk operations
+      if (this.globalOpts.bulkExport) {
+        manager.bulkOperations = new BulkOperationRunner(client, this.logger);
+      }
       return { client, manager };
     }
   }
 
+  /**
+   * Create the manager for a copy source: a live store or a snapshot file
+   * @param {Object} options - { from, fromFile }
+   * @returns {Object} - { manager, label }
+   */
+  createSourceManager(options = {}) {
+    const { from, fromFile } = options;
+
+    if (from && fromFile) {
+      throw new Error('Use either --from <store> or --from-file <snapshot>');
+    }
+    if (!from && !fromFile) {
+      throw new Error(
+        'A source is required: --from <store> or --from-file <snapshot>'
+      );
+    }
+
+    if (fromFile) {
+      const client = SnapshotClient.fromFile(fromFile);
+      this.logger.info(
+        `Using snapshot ${fromFile} as source (store: ${client.storeName}, taken ${client.snapshot.createdAt})`
+      );
+      return {
+        manager: new DefinitionManager(client, this.logger),
+        label: `snapshot ${fromFile}`,
+      };
+    }
+
+    const { manager } = this.createClients(from);
+    return { manager, label: from };
+  }
+
+  /**
+   * Warn when two stores run on different Admin API versions, whose
+   * definition schemas (types, validations, capabilities) may differ
+   * @param {DefinitionManager} sourceManager - Source store or snapshot manager
+   * @param {DefinitionManager} targetManager - Target store manager
+   */
+  warnOnApiVersionMismatch(sourceManager, targetManager) {
+    const source = sourceManager.client;
+    const target = targetManager.client;
+
+    if (
+      source.apiVersion &&
+      target.apiVersion &&
+      source.apiVersion !== target.apiVersion
+    ) {
+      this.logger.warning(
+        `API version mismatch: ${source.storeName} uses ${source.apiVersion}, ${target.storeName} uses ${target.apiVersion}. Definition schemas may differ between versions`
+      );
+    }
+  }
+
+  /**
+   * Use an access mapping file for definitions written by a manager
+   * @param {DefinitionManager} manager - Target store manager
+   * @param {string} accessMap - Mapping file path (optional)
+   */
+  applyAccessPolicy(manager, accessMap) {
+    if (accessMap) {
+      manager.accessPolicy = AccessPolicy.fromFile(accessMap);
+      this.logger.info(`Using access mapping from ${accessMap}`);
+    }
+  }
+
+  /**
+   * Report every access value the target could not set as-is
+   * @param {DefinitionManager} manager - Target store manager
+   */
+  reportAccessDowngrades(manager) {
+    const downgrades = manager.accessPolicy.getDowngrades();
+    if (downgrades.length === 0) {
+      return;
+    }
+
+    this.logger.warning(
+      `Downgraded ${downgrades.length} access values the target cannot set:`
+    );
+    downgrades.forEach((downgrade) => {
+      this.logger.warning(`  - ${AccessPolicy.describe(downgrade)}`);
+    });
+  }
+
+  /**
+   * List the fields added after creating metaobject definitions that
+   * reference each other in a cycle
+   * @param {Object} results - Result of copyDefinitionsWithDependencies
+   */
+  reportPatchedFields(results) {
+    const patched = results.metaobjects.patched || [];
+    if (patched.length === 0) {
+      return;
+    }
+
+    this.logger.info(
+      `Added circular reference fields to ${patched.length} metaobject definitions after creating them:`
+    );
+    patched.forEach(({ definition, fields }) => {
+      this.logger.info(`  - ${definition}: ${fields.join(', ')}`);
+    });
+  }
+
   createManager(client) {
     return new DefinitionManager(client, this.logger);
   }
@@ -253,6 +367,83 @@ export class CommandHandler {
     return filterDefinitionsByResourceType(allDefinitions, resources);
   }
 
+  /**
+   * Common operation: Select the definitions listed in a manifest file
+   * @param {DefinitionManager} manager - The definition manager instance
+   * @param {string} manifest - Manifest file path
+   * @param {Object} options - Options including includeEntries and resources
+   * @returns {Object} - Matching definitions
+   */
+  async selectManifestDefinitions(manager, manifest, options = {}) {
+    this.logger.info(`Parsing manifest file: ${manifest}`);
+    const manifestDefs = ManifestParser.parseFile(manifest);
+
+    const allDefinitions = await this.fetchAndFilterDefinitions(
+      manager,
+      options
+    );
+
+    const matches = ManifestParser.findMatchingDefinitions(
+      manifestDefs,
+      allDefinitions
+    );
+
+    if (matches.notFound.length > 0) {
+      this.logger.warning(
+        'Some definitions from manifest were not found in source store:'
+      );
+      matches.notFound.forEach((def) => {
+        this.logger.warning(`  - ${def.type}: ${def.identifier}`);
+      });
+    }
+
+    return {
+      metafields: matches.metafields,
+      metaobjects: matches.metaobjects,
+    };
+  }
+
+  /**
+   * Common operation: Back up definitions, entries and metafield values
+   * before a destructive change. Failures propagate so nothing is destroyed
+   * without a backup.
+   * @param {DefinitionManager} manager - Manager for the affected store
+   * @param {Object} definitions - Definitions about to be affected
+   * @param {Object} options - { store, operation, backup }
+   * @returns {string|null} - Backup file path, or null when skipped
+   */
+  async backupBeforeDestructiveOperation(manager, definitions, options = {}) {
+    const { store, operation, backup = true } = options;
+
+    if (
+      definitions.metafields.length === 0 &&
+      definitions.metaobjects.length === 0
+    ) {
+      this.logger.verbose('No destructive changes - no backup needed');
+      return null;
+    }
+
+    if (!backup) {
+      this.logger.warning('Skipping automatic backup (--no-backup)');
+      return null;
+    }
+
+    this.logger.info(
+      'Backing up affected definitions, entries and metafield values...'
+    );
+    const data = await manager.collectBackupData(definitions);
+    const document = Backup.create(data, {
+      store,
+      apiVersion: manager.client.apiVersion,
+      operation,
+    });
+    const filePath = Backup.write(document, this.getDefaults().backupDir);
+
+    this.logger.success(`Backup written to ${filePath}`);
+    this.logger.info(`  Restore with: meta-sync restore ${filePath}`);
+    return filePath;
+  }
+
   /**
    * Common operation: Standard definition processing flow
    * @param {DefinitionManager} manager - The definition manager instance
@@ -3,7 +3,11 @@
  * Centralizes common option definitions to reduce duplication
  */
 
-import { RESOURCE_TYPES, RESOURCE_TYPE_OPTIONS } from './constants.js';
+import {
+  ENTRY_CONFLICT_STRATEGY_OPTIONS,
+  RESOURCE_TYPES,
+  RESOURCE_TYPE_OPTIONS,
+} from './constants.js';
 
 // Option descriptions - centralized for consistency
 export const OPTION_DESCRIPTIONS = {
@@ -15,6 +19,22 @@ export const OPTION_DESCRIPTIONS = {
   LOG_FILE: 'Save logs to specified file path',
   OUTPUT_FILE: 'Output file path (markdown format)',
   MANIFEST_FILE: 'Manifest file specifying which definitions to process',
+  FROM_FILE:
+    'Snapshot file to use as the source instead of a live store (see snapshot command)',
+  ALLOW_RECREATE:
+    'Delete and recreate definitions whose changes cannot be applied in place (deletes associated values!)',
+  INCREMENTAL:
+    'Copy only entries updated since the last successful sync between the same stores',
+  FULL: 'Copy all entries and rebuild the incremental sync watermarks',
+  PRUNE_ENTRIES:
+    'Delete target entries whose handles are missing from the source (with --include-entries)',
+  ACCESS_MAP:
+    'JSON file mapping access values the target cannot set, e.g. {"admin": {"PUBLIC_READ_WRITE": "MERCHANT_READ"}}',
+  ON_CONFLICT: `Answer entry conflicts without prompting (${ENTRY_CONFLICT_STRATEGY_OPTIONS.join(
+    ', '
+  )}); merge fills only empty target fields, fail aborts before any write`,
+  NO_BACKUP:
+    'Skip the automatic backup taken before destructive changes (not recommended)',
 };
 
 // Reusable option mixins
@@ -74,6 +94,39 @@ export const COMMON_OPTIONS = {
     return command.option('--output <file>', OPTION_DESCRIPTIONS.OUTPUT_FILE);
   },
 
+  /**
+   * Add access mapping file option
+   * @param {Command} command - Commander.js command instance
+   * @returns {Command} - Modified command
+   */
+  withAccessMap(command) {
+    return command.option(
+      '--access-map <file>',
+      OPTION_DESCRIPTIONS.ACCESS_MAP
+    );
+  },
+
+  /**
+   * Add entry conflict strategy option
+   * @param {Command} command - Commander.js command instance
+   * @returns {Command} - Modified command
+   */
+  withConflictStrategy(command) {
+    return command.option(
+      '--on-conflict <strategy>',
+      OPTION_DESCRIPTIONS.ON_CONFLICT
+    );
+  },
+
+  /**
+   * Add option to skip the automatic pre-destructive backup
+   * @param {Command} command - Commander.js command instance
+   * @returns {Command} - Modified command
+   */
+  withBackup(command) {
+    return command.option('--no-backup', OPTION_DESCRIPTIONS.NO_BACKUP);
+  },
+
   /**
    * Add all common options for most commands
    * @param {Command} command - Commander.js command instance
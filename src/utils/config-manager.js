@@ -5,7 +5,12 @@
 
 import { existsSync } from 'fs';
 import { resolve } from 'path';
-import { ShopifyClient } from '../shopify/client.js';
+import { ShopifyClient, DEFAULT_API_VERSION } from '../shopify/client.js';
+import {
+  DEFAULT_BACKUP_DIR,
+  DEFAULT_CACHE_DIR,
+  DEFAULT_ENTRY_INDEX_THRESHOLD,
+} from './constants.js';
 
 /**
  * Configuration validation schema
@@ -14,7 +19,7 @@ const CONFIG_SCHEMA = {
   required: ['accessToken'],
   optional: ['domain', 'apiVersion', 'timeout', 'retryAttempts'],
   defaults: {
-    apiVersion: '2025-01',
+    apiVersion: DEFAULT_API_VERSION,
     timeout: 30000,
     retryAttempts: 3,
     logLevel: 'info',
@@ -78,6 +83,11 @@ export class ConfigManager {
           process.env.SHOPIFY_API_VERSION || CONFIG_SCHEMA.defaults.apiVersion,
         batchSize: parseInt(process.env.BATCH_SIZE || '100'),
         concurrency: parseInt(process.env.CONCURRENCY || '5'),
+        backupDir: process.env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+        cacheDir: process.env.CACHE_DIR || DEFAULT_CACHE_DIR,
+        entryIndexThreshold: parseInt(
+          process.env.ENTRY_INDEX_THRESHOLD || DEFAULT_ENTRY_INDEX_THRESHOLD
+        ),
       },
       environment: {
         nodeEnv: process.env.NODE_ENV || 'development',
@@ -106,9 +116,9 @@ export class ConfigManager {
         stores[storeName] = {
           accessToken: value,
           domain: process.env[urlKey] || this._generateDefaultDomain(storeName),
-          apiVersion:
-            process.env.SHOPIFY_API_VERSION ||
-            CONFIG_SCHEMA.defaults.apiVersion,
+          apiVersion: this._resolveApiVersion(
+            `${tokenMatch[1]}_STORE_API_VERSION`
+          ),
         };
       }
 
@@ -122,9 +132,9 @@ export class ConfigManager {
           accessToken: value,
           domain:
             process.env[domainKey] || this._generateDefaultDomain(storeName),
-          apiVersion:
-            process.env.SHOPIFY_API_VERSION ||
-            CONFIG_SCHEMA.defaults.apiVersion,
+          apiVersion: this._resolveApiVersion(
+            `SHOPIFY_${legacyMatch[1]}_API_VERSION`
+          ),
         };
       }
     }
@@ -164,9 +174,9 @@ export class ConfigManager {
           domain:
             process.env[config.domain] ||
             this._generateDefaultDomain(config.name),
-          apiVersion:
-            process.env.SHOPIFY_API_VERSION ||
-            CONFIG_SCHEMA.defaults.apiVersion,
+          apiVersion: this._resolveApiVersion(
+            `SHOPIFY_${config.name.toUpperCase()}_API_VERSION`
+          ),
         };
       }
     }
@@ -174,6 +184,18 @@ export class ConfigManager {
     return legacyStores;
   }
 
+  /**
+   * Resolve a store's API version: its own variable, then the global
+   * SHOPIFY_API_VERSION, then the version this tool is built against
+   */
+  _resolveApiVersion(storeVersionKey) {
+    return (
+      process.env[storeVersionKey] ||
+      process.env.SHOPIFY_API_VERSION ||
+      CONFIG_SCHEMA.defaults.apiVersion
+    );
+  }
+
   /**
    * Generate default domain name for a store
    */
@@ -249,10 +271,13 @@ export class ConfigManager {
       return ConfigManager._clients.get(normalizedName);
     }
 
-    // Create new client
-    const storeConfig = this.getStoreConfig(normalizedName);
-    const storeDomain = this._extractStoreName(storeConfig.domain);
-    const client = new ShopifyClient(storeConfig.accessToken, storeDomain);
+    // Create new client from the store's domain and API version
+    const { timeout, retryAttempts } = this.getDefaults();
+    const client = ShopifyClient.fromStoreConfig({
+      ...this.getStoreConfig(normalizedName),
+      timeout,
+      retryAttempts,
+    });
 
     // Cache the client
     ConfigManager._clients.set(normalizedName, client);
@@ -260,17 +285,6 @@ export class ConfigManager {
     return client;
   }
 
-  /**
-   * Extract store name from domain
-   */
-  _extractStoreName(domain) {
-    if (!domain) return null;
-
-    // Handle full URLs or domains
-    const match = domain.match(/^(?:https?:\/\/)?([^.]+)(?:\.myshopify\.com)?/);
-    return match ? match[1] : domain;
-  }
-
   /**
    * Validate multiple store names at once
    */
@@ -29,20 +29,70 @@ export const DEPENDENCY_ERROR_PATTERNS = [
 ];
 
 export const METAOBJECT_REFERENCE_VALIDATION_KEY = 'metaobject_definition_id';
+export const METAOBJECT_REFERENCE_LIST_VALIDATION_KEY =
+  'metaobject_definition_ids';
 
-export const MAX_DEPENDENCY_PASSES = 3;
-export const PASS_DELAY_MS = 2000;
 export const CREATION_DELAY_MS = 100;
 
+// Metafield definition capabilities carried across on copy
+export const METAFIELD_CAPABILITIES = [
+  'adminFilterable',
+  'smartCollectionCondition',
+  'uniqueValues',
+];
+
+// Metaobject definition capabilities carried across on copy
+export const METAOBJECT_CAPABILITIES = [
+  'publishable',
+  'translatable',
+  'renderable',
+  'onlineStore',
+];
+
+// metafieldsSet accepts at most 25 metafields per call
+export const METAFIELDS_SET_BATCH_SIZE = 25;
+
+// Default directory for automatic pre-destructive backups
+export const DEFAULT_BACKUP_DIR = 'backups';
+
+// Entry copies look target entries up one by one up to this many entries per
+// type, and load all of the type's target entries into a handle index above it
+export const DEFAULT_ENTRY_INDEX_THRESHOLD = 50;
+
+// Default directory for local state kept between runs (e.g. uploaded files)
+export const DEFAULT_CACHE_DIR = '.meta-sync';
+
+// Definition sync actions when copying into a target store
+export const DEFINITION_SYNC_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  RECREATE: 'recreate',
+  UNCHANGED: 'unchanged',
+};
+
 // Entry operation constants
 export const ENTRY_CONFLICT_ACTIONS = {
   UPDATE: 'update',
   SKIP: 'skip',
   UPDATE_ALL: 'update_all',
   SKIP_ALL: 'skip_all',
+  MERGE: 'merge',
+  SELECT_FIELDS: 'select_fields',
   QUIT: 'quit',
 };
 
+// Non-interactive answers to entry conflicts (--on-conflict)
+export const ENTRY_CONFLICT_STRATEGIES = {
+  UPDATE: 'update',
+  SKIP: 'skip',
+  FAIL: 'fail',
+  MERGE: 'merge',
+};
+
+export const ENTRY_CONFLICT_STRATEGY_OPTIONS = Object.values(
+  ENTRY_CONFLICT_STRATEGIES
+);
+
 export const ENTRY_OPERATION_MODES = {
   DEFINITIONS_ONLY: 'definitions-only',
   DEFINITIONS_AND_ENTRIES: 'definitions-and-entries',
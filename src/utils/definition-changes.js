@@ -0,0 +1,532 @@
+/**
+ * Definition change set utilities
+ * Compares a source definition with its counterpart in the target store and
+ * builds the update input needed to bring the target in line with the source
+ */
+
+import {
+  METAFIELD_CAPABILITIES,
+  METAOBJECT_CAPABILITIES,
+} from './constants.js';
+
+/**
+ * Normalize validations into a stable, comparable shape
+ * @param {Array} validations - Validations as returned by the API
+ * @returns {Array} - Validations sorted by name with only name/value kept
+ */
+export function normalizeValidations(validations) {
+  return (validations || [])
+    .map((validation) => ({
+      name: validation.name,
+      value: validation.value ?? null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Identity of a metafield definition across stores
+ * @param {Object} def - Metafield definition
+ * @returns {string} - ownerType.namespace.key
+ */
+export function getMetafieldIdentity(def) {
+  return `${def.ownerType}.${def.namespace}.${def.key}`;
+}
+
+/**
+ * Metafield capabilities enabled on a definition
+ * @param {Object} def - Metafield definition
+ * @returns {Array<string>} - Capability names in METAFIELD_CAPABILITIES order
+ */
+export function getEnabledCapabilities(def) {
+  return METAFIELD_CAPABILITIES.filter(
+    (name) => def.capabilities?.[name]?.enabled
+  );
+}
+
+/**
+ * Capability changes needed to bring a target metafield definition in line
+ * with the source. Capabilities the target reports as not eligible cannot be
+ * enabled there and are returned separately instead of as changes.
+ * @param {Object} source - Source definition
+ * @param {Object} target - Existing definition in the target store
+ * @returns {Object} - { changes, input, notEligible }
+ */
+export function compareCapabilities(source, target) {
+  const changes = [];
+  const input = {};
+  const notEligible = [];
+
+  for (const name of METAFIELD_CAPABILITIES) {
+    const enabled = !!source.capabilities?.[name]?.enabled;
+    const current = !!target.capabilities?.[name]?.enabled;
+
+    if (enabled === current) {
+      continue;
+    }
+
+    if (enabled && target.capabilities?.[name]?.eligible === false) {
+      notEligible.push(name);
+      continue;
+    }
+
+    changes.push({
+      property: `capabilities.${name}`,
+      source: enabled,
+      target: current,
+    });
+    input[name] = { enabled };
+  }
+
+  return { changes, input, notEligible };
+}
+
+/**
+ * Access changes needed to bring a target definition in line with the source
+ * @param {Object} source - Source definition whose access is already mapped to
+ *   settable values (see AccessPolicy)
+ * @param {Object} target - Existing definition in the target store
+ * @returns {Array} - List of { property, source, target } for differing settings
+ */
+export function compareAccess(source, target) {
+  return Object.entries(source.access || {})
+    .filter(([setting, value]) => target.access?.[setting] !== value)
+    .map(([setting, value]) => ({
+      property: `access.${setting}`,
+      source: value,
+      target: target.access?.[setting] ?? null,
+    }));
+}
+
+/**
+ * Metaobject definition settings: display name and capabilities, keyed by the
+ * property name used in change sets. Capability data is only kept while the
+ * capability is enabled.
+ * @param {Object} def - Metaobject definition
+ * @returns {Object} - Setting name to value in update input shape
+ */
+export function getMetaobjectSettings(def) {
+  const capability = (name) => {
+    const current = def.capabilities?.[name];
+    if (!current?.enabled) {
+      return { enabled: false };
+    }
+    return current.data
+      ? { enabled: true, data: { ...current.data } }
+      : { enabled: true };
+  };
+
+  return {
+    displayNameKey: def.displayNameKey || null,
+    ...Object.fromEntries(
+      METAOBJECT_CAPABILITIES.map((name) => [
+        `capabilities.${name}`,
+        capability(name),
+      ])
+    ),
+  };
+}
+
+/**
+ * Field keys a metaobject setting refers to. These fields must exist before
+ * the setting can be applied.
+ * @param {string} setting - Setting name from getMetaobjectSettings
+ * @param {*} value - Setting value
+ * @returns {Array<string>} - Referenced field keys
+ */
+export function getSettingFieldKeys(setting, value) {
+  if (setting === 'displayNameKey') {
+    return value ? [value] : [];
+  }
+  if (setting === 'capabilities.renderable') {
+    return [value?.data?.metaTitleKey, value?.data?.metaDescriptionKey].filter(
+      Boolean
+    );
+  }
+  return [];
+}
+
+/**
+ * Add a metaobject setting to a create or update input
+ */
+function applyMetaobjectSetting(input, setting, value) {
+  if (setting === 'displayNameKey') {
+    input.displayNameKey = value;
+    return;
+  }
+
+  const name = setting.slice('capabilities.'.length);
+  input.capabilities = { ...input.capabilities, [name]: value };
+}
+
+/**
+ * A metaobject setting with its references to the given fields removed: no
+ * display name, or renderable data without those meta title/description keys
+ * @param {string} setting - Setting name from getMetaobjectSettings
+ * @param {*} value - Setting value
+ * @param {Set<string>} keys - Field keys to drop
+ */
+function withoutSettingFieldKeys(setting, value, keys) {
+  if (setting === 'displayNameKey') {
+    return null;
+  }
+
+  return {
+    ...value,
+    data: Object.fromEntries(
+      Object.entries(value.data || {}).filter(([, key]) => !keys.has(key))
+    ),
+  };
+}
+
+/**
+ * Settings part of a metaobjectDefinitionCreate input: the display name and
+ * the enabled capabilities
+ * @param {Object} def - Source metaobject definition
+ * @param {Function} includes - Called with the field keys a setting refers
+ *   to; settings it rejects are left out (all are included by default)
+ * @returns {Object} - { displayNameKey?, capabilities? }
+ */
+export function buildMetaobjectSettingsInput(def, includes = () => true) {
+  const input = {};
+
+  for (const [setting, value] of Object.entries(getMetaobjectSettings(def))) {
+    if (
+      (setting === 'displayNameKey' ? value : value.enabled) &&
+      includes(getSettingFieldKeys(setting, value))
+    ) {
+      applyMetaobjectSetting(input, setting, value);
+    }
+  }
+
+  return input;
+}
+
+/**
+ * Compare two values structurally
+ */
+export function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare the given properties of two definitions
+ * @param {Object} source - Source definition
+ * @param {Object} target - Target definition
+ * @param {Object} properties - Map of property name to value extractor
+ * @returns {Array} - List of { property, source, target } for differing properties
+ */
+export function compareProperties(source, target, properties) {
+  const changes = [];
+
+  for (const [property, extract] of Object.entries(properties)) {
+    const sourceValue = extract(source);
+    const targetValue = extract(target);
+
+    if (!isEqual(sourceValue, targetValue)) {
+      changes.push({ property, source: sourceValue, target: targetValue });
+    }
+  }
+
+  return changes;
+}
+
+// Properties copied for metafield definitions
+const METAFIELD_PROPERTIES = {
+  name: (def) => def.name || null,
+  description: (def) => def.description || null,
+  type: (def) => def.type?.name || null,
+  validations: (def) => normalizeValidations(def.validations),
+};
+
+// Properties copied for metaobject definitions (fields are handled separately)
+const METAOBJECT_PROPERTIES = {
+  name: (def) => def.name || null,
+  description: (def) => def.description || null,
+};
+
+// Properties copied for metaobject field definitions
+const FIELD_PROPERTIES = {
+  name: (field) => field.name || null,
+  description: (field) => field.description || null,
+  type: (field) => field.type?.name || null,
+  required: (field) => !!field.required,
+  validations: (field) => normalizeValidations(field.validations),
+};
+
+/**
+ * Build the field definition input shared by create and update operations
+ */
+function buildFieldInput(field) {
+  return {
+    key: field.key,
+    name: field.name,
+    description: field.description,
+    required: field.required,
+    validations: normalizeValidations(field.validations),
+  };
+}
+
+export class DefinitionChangeSet {
+  /**
+   * Build the change set for a metafield definition
+   * @param {Object} source - Source definition (references resolved and access mapped for the target)
+   * @param {Object} target - Existing definition in the target store
+   * @returns {Object} - { hasChanges, changes, requiresRecreate, recreateReasons, notEligibleCapabilities, input }
+   */
+  static forMetafield(source, target) {
+    const changes = compareProperties(source, target, METAFIELD_PROPERTIES);
+    const accessChanges = compareAccess(source, target);
+    const capabilities = compareCapabilities(source, target);
+    changes.push(...accessChanges, ...capabilities.changes);
+    const recreateReasons = [];
+
+    if (changes.some((change) => change.property === 'type')) {
+      recreateReasons.push(
+        `type changes from ${target.type.name} to ${source.type.name}`
+      );
+    }
+
+    const input = {
+      namespace: target.namespace,
+      key: target.key,
+      ownerType: target.ownerType,
+      name: source.name,
+      description: source.description,
+      validations: normalizeValidations(source.validations),
+    };
+    if (accessChanges.length > 0) {
+      input.access = source.access;
+    }
+    if (Object.keys(capabilities.input).length > 0) {
+      input.capabilities = capabilities.input;
+    }
+
+    return {
+      hasChanges: changes.length > 0,
+      changes,
+      requiresRecreate: recreateReasons.length > 0,
+      recreateReasons,
+      notEligibleCapabilities: capabilities.notEligible,
+      input,
+    };
+  }
+
+  /**
+   * Build the change set for a metaobject definition, including field operations
+   * @param {Object} source - Source definition (references resolved and access mapped for the target)
+   * @param {Object} target - Existing definition in the target store
+   *
+   * Settings that refer to fields created by this update (display name,
+   * renderable meta title/description keys) go into `deferredInput`, applied
+   * once the fields exist. Deleting a field the target's current settings
+   * still refer to is deferred as well, until those settings have moved on.
+   * A retyped field is deleted and recreated in one update, so target
+   * settings referring to it are cleared there and set again afterwards.
+   * @returns {Object} - { hasChanges, changes, fieldChanges, requiresRecreate, recreateReasons, input, deferredInput }
+   */
+  static forMetaobject(source, target) {
+    const changes = compareProperties(source, target, METAOBJECT_PROPERTIES);
+    const accessChanges = compareAccess(source, target);
+    changes.push(...accessChanges);
+
+    // A definition without a display name key falls back to the target's
+    // default, so only settings the source defines are compared
+    const sourceSettings = getMetaobjectSettings(source);
+    const targetSettings = getMetaobjectSettings(target);
+    const settingChanges = Object.keys(sourceSettings)
+      .filter((setting) => sourceSettings[setting] !== null)
+      .filter(
+        (setting) => !isEqual(sourceSettings[setting], targetSettings[setting])
+      )
+      .map((setting) => ({
+        property: setting,
+        source: sourceSettings[setting],
+        target: targetSettings[setting],
+      }));
+    changes.push(...settingChanges);
+
+    const recreateReasons = [];
+    const fieldChanges = { added: [], removed: [], updated: [], retyped: [] };
+    const fieldOperations = [];
+
+    const targetFields = new Map(
+      (target.fieldDefinitions || []).map((field) => [field.key, field])
+    );
+    const sourceKeys = new Set(
+      (source.fieldDefinitions || []).map((field) => field.key)
+    );
+
+    // Fields present in the target but not in the source are removed
+    for (const field of target.fieldDefinitions || []) {
+      if (!sourceKeys.has(field.key)) {
+        fieldChanges.removed.push(field.key);
+        fieldOperations.push({ delete: { key: field.key } });
+      }
+    }
+
+    for (const field of source.fieldDefinitions || []) {
+      const targetField = targetFields.get(field.key);
+
+      if (!targetField) {
+        fieldChanges.added.push(field.key);
+        fieldOperations.push({
+          create: { ...buildFieldInput(field), type: field.type.name },
+        });
+        continue;
+      }
+
+      const propertyChanges = compareProperties(
+        field,
+        targetField,
+        FIELD_PROPERTIES
+      );
+      if (propertyChanges.length === 0) {
+        continue;
+      }
+
+      if (propertyChanges.some((change) => change.property === 'type')) {
+        // Field types cannot be changed in place: the field has to be dropped and re-added
+        fieldChanges.retyped.push({ key: field.key, changes: propertyChanges });
+        recreateReasons.push(
+          `field ${field.key} type changes from ${targetField.type.name} to ${field.type.name}`
+        );
+        fieldOperations.push({ delete: { key: field.key } });
+        fieldOperations.push({
+          create: { ...buildFieldInput(field), type: field.type.name },
+        });
+        continue;
+      }
+
+      fieldChanges.updated.push({ key: field.key, changes: propertyChanges });
+      fieldOperations.push({ update: buildFieldInput(field) });
+    }
+
+    const createdKeys = new Set([
+      ...fieldChanges.added,
+      ...fieldChanges.retyped.map((field) => field.key),
+    ]);
+    const referencedKeys = new Set(
+      Object.entries(targetSettings).flatMap(([setting, value]) =>
+        getSettingFieldKeys(setting, value)
+      )
+    );
+
+    const input = {
+      name: source.name,
+      description: source.description,
+    };
+    const deferredInput = {};
+    if (accessChanges.length > 0) {
+      input.access = source.access;
+    }
+
+    const deferredSettings = new Set();
+    for (const change of settingChanges) {
+      const waitsForField = getSettingFieldKeys(
+        change.property,
+        change.source
+      ).some((key) => createdKeys.has(key));
+      if (waitsForField) {
+        deferredSettings.add(change.property);
+      }
+      applyMetaobjectSetting(
+        waitsForField ? deferredInput : input,
+        change.property,
+        change.source
+      );
+    }
+
+    // Target settings referring to a retyped field would block its delete:
+    // clear them, then set them again once the new field exists
+    const retypedKeys = new Set(fieldChanges.retyped.map((field) => field.key));
+    for (const [setting, value] of Object.entries(targetSettings)) {
+      const blocksDelete = getSettingFieldKeys(setting, value).some((key) =>
+        retypedKeys.has(key)
+      );
+      const movedOn = settingChanges.some(
+        (change) =>
+          change.property === setting && !deferredSettings.has(setting)
+      );
+      if (!blocksDelete || movedOn) {
+        continue;
+      }
+
+      applyMetaobjectSetting(
+        input,
+        setting,
+        withoutSettingFieldKeys(setting, value, retypedKeys)
+      );
+      if (!deferredSettings.has(setting)) {
+        applyMetaobjectSetting(deferredInput, setting, value);
+      }
+    }
+
+    const deferredOperations = fieldOperations.filter(
+      (operation) =>
+        operation.delete &&
+        fieldChanges.removed.includes(operation.delete.key) &&
+        referencedKeys.has(operation.delete.key)
+    );
+    const immediateOperations = fieldOperations.filter(
+      (operation) => !deferredOperations.includes(operation)
+    );
+    if (immediateOperations.length > 0) {
+      input.fieldDefinitions = immediateOperations;
+    }
+    if (deferredOperations.length > 0) {
+      deferredInput.fieldDefinitions = deferredOperations;
+    }
+
+    const hasFieldChanges =
+      fieldChanges.added.length +
+        fieldChanges.removed.length +
+        fieldChanges.updated.length +
+        fieldChanges.retyped.length >
+      0;
+
+    return {
+      hasChanges: changes.length > 0 || hasFieldChanges,
+      changes,
+      fieldChanges,
+      requiresRecreate: recreateReasons.length > 0,
+      recreateReasons,
+      input,
+      deferredInput:
+        Object.keys(deferredInput).length > 0 ? deferredInput : null,
+    };
+  }
+
+  /**
+   * Describe a change set as human readable lines for logging
+   * @param {Object} changeSet - Result of forMetafield or forMetaobject
+   * @returns {Array<string>} - One line per change
+   */
+  static describe(changeSet) {
+    const lines = changeSet.changes.map(
+      (change) =>
+        `${change.property}: ${JSON.stringify(
+          change.target
+        )} -> ${JSON.stringify(change.source)}`
+    );
+
+    const fieldChanges = changeSet.fieldChanges;
+    if (fieldChanges) {
+      fieldChanges.added.forEach((key) => lines.push(`field ${key}: added`));
+      fieldChanges.removed.forEach((key) =>
+        lines.push(`field ${key}: removed`)
+      );
+      fieldChanges.updated.forEach((field) =>
+        lines.push(
+          `field ${field.key}: ${field.changes
+            .map((change) => change.property)
+            .join(', ')} changed`
+        )
+      );
+      fieldChanges.retyped.forEach((field) =>
+        lines.push(`field ${field.key}: type changed (drop and re-add)`)
+      );
+    }
+
+    return lines;
+  }
+}
@@ -0,0 +1,527 @@
+/**
+ * Store-to-store definition diff
+ * Compares the definitions (and optionally entries) of two stores and renders
+ * a per-property breakdown of what was added, removed or changed
+ */
+
+import {
+  METAOBJECT_REFERENCE_VALIDATION_KEY,
+  METAOBJECT_REFERENCE_LIST_VALIDATION_KEY,
+  RESOURCE_TYPES,
+  isReservedMetafieldNamespace,
+  isReservedMetaobjectType,
+  filterDefinitionsByResourceType,
+} from './constants.js';
+import {
+  compareProperties,
+  getMetafieldIdentity,
+  isEqual,
+  normalizeValidations,
+} from './definition-changes.js';
+
+const METAOBJECT_GID_PATTERN = /gid:\/\/shopify\/Metaobject\/\d+/g;
+
+/**
+ * Replace metaobject definition IDs in validations with their types so the
+ * values can be compared between stores
+ * @param {Array} validations - Validations as returned by the API
+ * @param {Map} idToType - Metaobject definition ID to type for the same store
+ * @returns {Array} - Normalized validations
+ */
+function normalizeReferenceValidations(validations, idToType) {
+  return normalizeValidations(validations).map((validation) => {
+    if (validation.name === METAOBJECT_REFERENCE_VALIDATION_KEY) {
+      return {
+        ...validation,
+        value: idToType.get(validation.value) || validation.value,
+      };
+    }
+
+    if (validation.name === METAOBJECT_REFERENCE_LIST_VALIDATION_KEY) {
+      try {
+        const ids = JSON.parse(validation.value);
+        return {
+          ...validation,
+          value: JSON.stringify(ids.map((id) => idToType.get(id) || id).sort()),
+        };
+      } catch {
+        return validation;
+      }
+    }
+
+    return validation;
+  });
+}
+
+function metafieldProperties(idToType) {
+  return {
+    name: (def) => def.name || null,
+    description: (def) => def.description || null,
+    type: (def) => def.type?.name || null,
+    validations: (def) =>
+      normalizeReferenceValidations(def.validations, idToType),
+    access: (def) => ({
+      admin: def.access?.admin || null,
+      storefront: def.access?.storefront || null,
+      customerAccount: def.access?.customerAccount || null,
+    }),
+    capabilities: (def) => ({
+      adminFilterable: !!def.capabilities?.adminFilterable?.enabled,
+      smartCollectionCondition:
+        !!def.capabilities?.smartCollectionCondition?.enabled,
+      uniqueValues: !!def.capabilities?.uniqueValues?.enabled,
+    }),
+  };
+}
+
+function metaobjectProperties() {
+  return {
+    name: (def) => def.name || null,
+    description: (def) => def.description || null,
+    displayNameKey: (def) => def.displayNameKey || null,
+    access: (def) => ({
+      admin: def.access?.admin || null,
+      storefront: def.access?.storefront || null,
+    }),
+    capabilities: (def) => ({
+      publishable: !!def.capabilities?.publishable?.enabled,
+      translatable: !!def.capabilities?.translatable?.enabled,
+      renderable: def.capabilities?.renderable?.enabled
+        ? def.capabilities.renderable.data || {}
+        : false,
+      onlineStore: def.capabilities?.onlineStore?.enabled
+        ? def.capabilities.onlineStore.data || {}
+        : false,
+    }),
+  };
+}
+
+function fieldProperties(idToType) {
+  return {
+    name: (field) => field.name || null,
+    description: (field) => field.description || null,
+    type: (field) => field.type?.name || null,
+    required: (field) => !!field.required,
+    validations: (field) =>
+      normalizeReferenceValidations(field.validations, idToType),
+  };
+}
+
+/**
+ * Split two keyed collections into added, removed and common keys
+ */
+function partition(sourceMap, targetMap) {
+  const added = [...sourceMap.keys()].filter((key) => !targetMap.has(key));
+  const removed = [...targetMap.keys()].filter((key) => !sourceMap.has(key));
+  const common = [...sourceMap.keys()].filter((key) => targetMap.has(key));
+
+  return {
+    added: added.sort(),
+    removed: removed.sort(),
+    common: common.sort(),
+  };
+}
+
+/**
+ * Map entry IDs to type/handle references across all metaobject types
+ */
+function indexEntries(metaobjects) {
+  const idToHandle = new Map();
+
+  for (const def of metaobjects) {
+    for (const entry of def.entries || []) {
+      idToHandle.set(entry.id, `${entry.type}/${entry.handle}`);
+    }
+  }
+
+  return idToHandle;
+}
+
+/**
+ * Replace metaobject entry GIDs in a field value with type/handle references
+ */
+function normalizeEntryValue(value, idToHandle) {
+  if (typeof value !== 'string') {
+    return value ?? null;
+  }
+
+  return value.replace(
+    METAOBJECT_GID_PATTERN,
+    (gid) => idToHandle.get(gid) || gid
+  );
+}
+
+export class DefinitionDiff {
+  /**
+   * Compare two stores' definitions
+   * @param {Object} source - { metafields, metaobjects } of the source store
+   * @param {Object} target - { metafields, metaobjects } of the target store
+   * @param {Object} options - { includeEntries, resources }
+   * @returns {Object} - { metafields, metaobjects, entries, hasDifferences }
+   */
+  static compare(source, target, options = {}) {
+    const { includeEntries = false, resources = RESOURCE_TYPES.BOTH } = options;
+
+    // Reference validations hold store-specific IDs, so compare them by type.
+    // Built before resource filtering so metafield references still resolve.
+    const sourceIdToType = new Map(
+      (source.metaobjects || []).map((def) => [def.id, def.type])
+    );
+    const targetIdToType = new Map(
+      (target.metaobjects || []).map((def) => [def.id, def.type])
+    );
+
+    const withoutReserved = (definitions) => {
+      const filtered = filterDefinitionsByResourceType(definitions, resources);
+      return {
+        metafields: filtered.metafields.filter(
+          (def) => !isReservedMetafieldNamespace(def.namespace)
+        ),
+        metaobjects: filtered.metaobjects.filter(
+          (def) => !isReservedMetaobjectType(def.type)
+        ),
+      };
+    };
+    const sourceDefinitions = withoutReserved(source);
+    const targetDefinitions = withoutReserved(target);
+
+    const includeMetafields = resources !== RESOURCE_TYPES.METAOBJECTS;
+    const includeMetaobjects = resources !== RESOURCE_TYPES.METAFIELDS;
+
+    const diff = {
+      metafields: includeMetafields
+        ? this.compareMetafields(
+            sourceDefinitions.metafields,
+            targetDefinitions.metafields,
+            sourceIdToType,
+            targetIdToType
+          )
+        : null,
+      metaobjects: includeMetaobjects
+        ? this.compareMetaobjects(
+            sourceDefinitions.metaobjects,
+            targetDefinitions.metaobjects,
+            sourceIdToType,
+            targetIdToType
+          )
+        : null,
+      entries:
+        includeEntries && includeMetaobjects
+          ? this.compareEntries(
+              sourceDefinitions.metaobjects,
+              targetDefinitions.metaobjects
+            )
+          : null,
+    };
+
+    diff.hasDifferences = this.countDifferences(diff) > 0;
+    return diff;
+  }
+
+  static compareMetafields(source, target, sourceIdToType, targetIdToType) {
+    const sourceMap = new Map(
+      source.map((def) => [getMetafieldIdentity(def), def])
+    );
+    const targetMap = new Map(
+      target.map((def) => [getMetafieldIdentity(def), def])
+    );
+    const { added, removed, common } = partition(sourceMap, targetMap);
+
+    const sourceProperties = metafieldProperties(sourceIdToType);
+    const targetProperties = metafieldProperties(targetIdToType);
+
+    const changed = [];
+    for (const key of common) {
+      const changes = this.compareWith(
+        sourceMap.get(key),
+        targetMap.get(key),
+        sourceProperties,
+        targetProperties
+      );
+      if (changes.length > 0) {
+        changed.push({ key, changes });
+      }
+    }
+
+    return {
+      added: added.map((key) => ({ key, definition: sourceMap.get(key) })),
+      removed: removed.map((key) => ({ key, definition: targetMap.get(key) })),
+      changed,
+    };
+  }
+
+  static compareMetaobjects(source, target, sourceIdToType, targetIdToType) {
+    const sourceMap = new Map(source.map((def) => [def.type, def]));
+    const targetMap = new Map(target.map((def) => [def.type, def]));
+    const { added, removed, common } = partition(sourceMap, targetMap);
+
+    const sourceFieldProperties = fieldProperties(sourceIdToType);
+    const targetFieldProperties = fieldProperties(targetIdToType);
+
+    const changed = [];
+    for (const type of common) {
+      const sourceDef = sourceMap.get(type);
+      const targetDef = targetMap.get(type);
+
+      const changes = compareProperties(
+        sourceDef,
+        targetDef,
+        metaobjectProperties()
+      );
+
+      const sourceFields = new Map(
+        (sourceDef.fieldDefinitions || []).map((field) => [field.key, field])
+      );
+      const targetFields = new Map(
+        (targetDef.fieldDefinitions || []).map((field) => [field.key, field])
+      );
+      const fieldKeys = partition(sourceFields, targetFields);
+
+      const fields = {
+        added: fieldKeys.added,
+        removed: fieldKeys.removed,
+        changed: [],
+      };
+      for (const key of fieldKeys.common) {
+        const fieldChanges = this.compareWith(
+          sourceFields.get(key),
+          targetFields.get(key),
+          sourceFieldProperties,
+          targetFieldProperties
+        );
+        if (fieldChanges.length > 0) {
+          fields.changed.push({ key, changes: fieldChanges });
+        }
+      }
+
+      const hasFieldChanges =
+        fields.added.length + fields.removed.length + fields.changed.length > 0;
+
+      if (changes.length > 0 || hasFieldChanges) {
+        changed.push({ key: type, changes, fields });
+      }
+    }
+
+    return {
+      added: added.map((key) => ({ key, definition: sourceMap.get(key) })),
+      removed: removed.map((key) => ({ key, definition: targetMap.get(key) })),
+      changed,
+    };
+  }
+
+  /**
+   * Compare entries by handle for metaobject types present in both stores
+   */
+  static compareEntries(sourceMetaobjects, targetMetaobjects) {
+    const sourceIdToHandle = indexEntries(sourceMetaobjects);
+    const targetIdToHandle = indexEntries(targetMetaobjects);
+    const targetByType = new Map(
+      targetMetaobjects.map((def) => [def.type, def])
+    );
+
+    const results = [];
+
+    for (const sourceDef of sourceMetaobjects) {
+      const targetDef = targetByType.get(sourceDef.type);
+      if (!targetDef) {
+        continue;
+      }
+
+      const sourceEntries = new Map(
+        (sourceDef.entries || []).map((entry) => [entry.handle, entry])
+      );
+      const targetEntries = new Map(
+        (targetDef.entries || []).map((entry) => [entry.handle, entry])
+      );
+      const { added, removed, common } = partition(
+        sourceEntries,
+        targetEntries
+      );
+
+      const changed = [];
+      for (const handle of common) {
+        const sourceFields = new Map(
+          sourceEntries
+            .get(handle)
+            .fields.map((field) => [
+              field.key,
+              normalizeEntryValue(field.value, sourceIdToHandle),
+            ])
+        );
+        const targetFields = new Map(
+          targetEntries
+            .get(handle)
+            .fields.map((field) => [
+              field.key,
+              normalizeEntryValue(field.value, targetIdToHandle),
+            ])
+        );
+
+        const keys = new Set([...sourceFields.keys(), ...targetFields.keys()]);
+        const fields = [...keys]
+          .filter(
+            (key) =>
+              !isEqual(
+                sourceFields.get(key) ?? null,
+                targetFields.get(key) ?? null
+              )
+          )
+          .sort();
+
+        if (fields.length > 0) {
+          changed.push({ handle, fields });
+        }
+      }
+
+      if (added.length + removed.length + changed.length > 0) {
+        results.push({ type: sourceDef.type, added, removed, changed });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare with separate extractors per side (used when values are store-relative)
+   */
+  static compareWith(source, target, sourceProperties, targetProperties) {
+    const changes = [];
+
+    for (const property of Object.keys(sourceProperties)) {
+      const sourceValue = sourceProperties[property](source);
+      const targetValue = targetProperties[property](target);
+
+      if (!isEqual(sourceValue, targetValue)) {
+        changes.push({ property, source: sourceValue, target: targetValue });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Total number of differing definitions and entries
+   */
+  static countDifferences(diff) {
+    const count = (section) =>
+      section.added.length + section.removed.length + section.changed.length;
+
+    let total = 0;
+    if (diff.metafields) total += count(diff.metafields);
+    if (diff.metaobjects) total += count(diff.metaobjects);
+    for (const typeDiff of diff.entries || []) {
+      total += count(typeDiff);
+    }
+
+    return total;
+  }
+
+  /**
+   * Render a diff as markdown
+   * @param {Object} diff - Result of compare()
+   * @param {Object} options - { from, to }
+   * @returns {string} - Markdown report
+   */
+  static toMarkdown(diff, options = {}) {
+    const { from, to } = options;
+    const format = (value) => JSON.stringify(value);
+    const section = (title, data, describeDefinition) => {
+      let report = `## ${title}\n\n`;
+
+      if (data.added.length + data.removed.length + data.changed.length === 0) {
+        return report + 'No differences.\n\n';
+      }
+
+      if (data.added.length > 0) {
+        report += `### Added (only in ${from})\n\n`;
+        data.added.forEach((item) => {
+          report += `- ${item.key}${describeDefinition(item.definition)}\n`;
+        });
+        report += '\n';
+      }
+
+      if (data.removed.length > 0) {
+        report += `### Removed (only in ${to})\n\n`;
+        data.removed.forEach((item) => {
+          report += `- ${item.key}${describeDefinition(item.definition)}\n`;
+        });
+        report += '\n';
+      }
+
+      if (data.changed.length > 0) {
+        report += `### Changed\n\n`;
+        for (const item of data.changed) {
+          report += `#### ${item.key}\n\n`;
+          item.changes.forEach((change) => {
+            report += `- **${change.property}:** ${format(
+              change.target
+            )} → ${format(change.source)}\n`;
+          });
+
+          if (item.fields) {
+            item.fields.added.forEach((key) => {
+              report += `- **field ${key}:** added\n`;
+            });
+            item.fields.removed.forEach((key) => {
+              report += `- **field ${key}:** removed\n`;
+            });
+            item.fields.changed.forEach((field) => {
+              field.changes.forEach((change) => {
+                report += `- **field ${field.key}.${
+                  change.property
+                }:** ${format(change.target)} → ${format(change.source)}\n`;
+              });
+            });
+          }
+          report += '\n';
+        }
+      }
+
+      return report;
+    };
+
+    let report = `# Definition Diff: ${from} → ${to}\n\n`;
+    report += `Generated: ${new Date().toISOString()}\n\n`;
+    report += `Changes are shown as ${to} → ${from}.\n\n`;
+
+    if (diff.metafields) {
+      report += section(
+        'Metafields',
+        diff.metafields,
+        (def) => ` (${def.type.name})`
+      );
+    }
+
+    if (diff.metaobjects) {
+      report += section(
+        'Metaobjects',
+        diff.metaobjects,
+        (def) => ` (${def.fieldDefinitions.length} fields)`
+      );
+    }
+
+    if (diff.entries) {
+      report += `## Entries\n\n`;
+      if (diff.entries.length === 0) {
+        report += 'No differences.\n\n';
+      }
+      for (const typeDiff of diff.entries) {
+        report += `### ${typeDiff.type}\n\n`;
+        typeDiff.added.forEach((handle) => {
+          report += `- **${handle}:** only in ${from}\n`;
+        });
+        typeDiff.removed.forEach((handle) => {
+          report += `- **${handle}:** only in ${to}\n`;
+        });
+        typeDiff.changed.forEach((entry) => {
+          report += `- **${entry.handle}:** ${entry.fields.join(
+            ', '
+          )} differ\n`;
+        });
+        report += '\n';
+      }
+    }
+
+    return report;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Dependency graph with topological ordering
+ * Orders nodes so every node comes after the nodes it depends on, and reports
+ * the groups of nodes that depend on each other in a cycle
+ */
+
+export class DependencyGraph {
+  constructor() {
+    this.dependencies = new Map();
+  }
+
+  /**
+   * Add a node; nodes keep the order they were added in when unconstrained
+   */
+  addNode(node) {
+    if (!this.dependencies.has(node)) {
+      this.dependencies.set(node, new Set());
+    }
+  }
+
+  /**
+   * Record that `node` must come after `dependency`
+   */
+  addDependency(node, dependency) {
+    this.addNode(node);
+    this.addNode(dependency);
+    this.dependencies.get(node).add(dependency);
+  }
+
+  /**
+   * Nodes `node` directly depends on
+   */
+  getDependencies(node) {
+    return [...(this.dependencies.get(node) || [])];
+  }
+
+  /**
+   * Sort the graph topologically (Tarjan's strongly connected components)
+   * @returns {Object} - { order, cycles } where order lists every node with
+   *   dependencies first, and cycles lists each group of mutually dependent
+   *   nodes (a node depending on itself is a cycle of one)
+   */
+  sort() {
+    const order = [];
+    const cycles = [];
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+
+    const visit = (node) => {
+      index.set(node, index.size);
+      lowLink.set(node, index.get(node));
+      stack.push(node);
+      onStack.add(node);
+
+      for (const dependency of this.dependencies.get(node)) {
+        if (!index.has(dependency)) {
+          visit(dependency);
+          lowLink.set(
+            node,
+            Math.min(lowLink.get(node), lowLink.get(dependency))
+          );
+        } else if (onStack.has(dependency)) {
+          lowLink.set(node, Math.min(lowLink.get(node), index.get(dependency)));
+        }
+      }
+
+      if (lowLink.get(node) !== index.get(node)) {
+        return;
+      }
+
+      // Node is the root of a component: everything above it on the stack
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.unshift(member);
+      } while (member !== node);
+
+      order.push(...component);
+      if (component.length > 1 || this.dependencies.get(node).has(node)) {
+        cycles.push(component);
+      }
+    };
+
+    for (const node of this.dependencies.keys()) {
+      if (!index.has(node)) {
+        visit(node);
+      }
+    }
+
+    return { order, cycles };
+  }
+
+  /**
+   * Describe a cycle by its shortest reference path from the first node back
+   * to itself, e.g. "a -> b -> a"
+   * @param {Array} cycle - Nodes of one cycle from sort()
+   * @returns {string}
+   */
+  describeCycle(cycle) {
+    const [start] = cycle;
+    const members = new Set(cycle);
+    const previous = new Map();
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const dependency of this.dependencies.get(node)) {
+        if (!members.has(dependency) || previous.has(dependency)) continue;
+        previous.set(dependency, node);
+        if (dependency === start) {
+          queue.length = 0;
+          break;
+        }
+        queue.push(dependency);
+      }
+    }
+
+    const path = [start];
+    for (let node = previous.get(start); node !== start; ) {
+      path.unshift(node);
+      node = previous.get(node);
+    }
+    path.unshift(start);
+
+    return path.join(' -> ');
+  }
+}
@@ -1,13 +1,189 @@
-import { ENTRY_CONFLICT_ACTIONS } from './constants.js';
+import {
+  ENTRY_CONFLICT_ACTIONS,
+  ENTRY_CONFLICT_STRATEGIES,
+  ENTRY_CONFLICT_STRATEGY_OPTIONS,
+} from './constants.js';
+
+// Action taken on every conflict for each non-interactive strategy
+const STRATEGY_ACTIONS = {
+  [ENTRY_CONFLICT_STRATEGIES.UPDATE]: ENTRY_CONFLICT_ACTIONS.UPDATE,
+  [ENTRY_CONFLICT_STRATEGIES.SKIP]: ENTRY_CONFLICT_ACTIONS.SKIP,
+  [ENTRY_CONFLICT_STRATEGIES.MERGE]: ENTRY_CONFLICT_ACTIONS.MERGE,
+};
+
+/**
+ * Validate an --on-conflict value
+ * @param {string} strategy - Strategy name, or undefined to prompt
+ */
+export function validateConflictStrategy(strategy) {
+  if (strategy && !ENTRY_CONFLICT_STRATEGY_OPTIONS.includes(strategy)) {
+    throw new Error(
+      `Invalid conflict strategy: ${strategy}. Must be one of: ${ENTRY_CONFLICT_STRATEGY_OPTIONS.join(
+        ', '
+      )}`
+    );
+  }
+}
+
+// Strategies a bulk import can apply: it cannot prompt or merge per entry
+export const BULK_IMPORT_STRATEGIES = [
+  ENTRY_CONFLICT_STRATEGIES.UPDATE,
+  ENTRY_CONFLICT_STRATEGIES.SKIP,
+  ENTRY_CONFLICT_STRATEGIES.FAIL,
+];
+
+/**
+ * Validate the --on-conflict value of an entry copy with --bulk-import
+ * @param {string} strategy - Strategy name, or undefined to prompt
+ */
+export function validateBulkImportStrategy(strategy) {
+  if (!BULK_IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `--bulk-import cannot ${
+        strategy ? `${strategy} entries` : 'prompt for entry conflicts'
+      }: use --on-conflict ${BULK_IMPORT_STRATEGIES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Whether a field value counts as empty when merging entries
+ */
+export function isEmptyFieldValue(value) {
+  return (
+    value === null || value === undefined || value === '' || value === '[]'
+  );
+}
+
+/**
+ * Whether two field values are the same, ignoring JSON formatting and
+ * treating all empty values alike
+ */
+function isSameFieldValue(a, b) {
+  if (a === b || (isEmptyFieldValue(a) && isEmptyFieldValue(b))) {
+    return true;
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fields whose source value would change the target entry
+ * @param {Array} sourceFields - Fields about to be written
+ * @param {Array} targetFields - Fields of the existing target entry
+ * @returns {Array} - [{ key, source, target }]
+ */
+export function diffEntryFields(sourceFields, targetFields = []) {
+  const targetValues = new Map(
+    targetFields.map((field) => [field.key, field.value])
+  );
+
+  return sourceFields
+    .filter(
+      (field) => !isSameFieldValue(field.value, targetValues.get(field.key))
+    )
+    .map((field) => ({
+      key: field.key,
+      source: field.value,
+      target: targetValues.get(field.key) ?? null,
+    }));
+}
+
+/**
+ * Add the reference fields waiting for entries written later in the copy to
+ * the differing fields, so they are shown and can be picked like the others
+ * @param {Array} differences - Differing fields from diffEntryFields
+ * @param {Array} pending - [{ field, reference }] from EntryReferenceMapper.mapFields
+ * @param {Array} sourceFields - Fields about to be written
+ * @param {Array} targetFields - Fields of the existing target entry
+ * @returns {Array} - [{ key, source, target, pending }]
+ */
+export function withPendingFields(
+  differences,
+  pending,
+  sourceFields,
+  targetFields = []
+) {
+  const references = new Map();
+  for (const { field, reference } of pending) {
+    references.set(field, [...(references.get(field) || []), reference]);
+  }
+  const sourceValues = new Map(
+    sourceFields.map((field) => [field.key, field.value])
+  );
+  const targetValues = new Map(
+    targetFields.map((field) => [field.key, field.value])
+  );
+
+  return [
+    ...differences.filter((difference) => !references.has(difference.key)),
+    ...[...references].map(([key, fieldReferences]) => {
+      const later = `${fieldReferences.join(', ')} (written later)`;
+      const resolved = sourceValues.get(key);
+      return {
+        key,
+        source: isEmptyFieldValue(resolved) ? later : `${resolved} + ${later}`,
+        target: targetValues.get(key) ?? null,
+        pending: true,
+      };
+    }),
+  ];
+}
+
+// Width of each value column in the side-by-side comparison
+const VALUE_COLUMN_WIDTH = 40;
+
+function formatFieldValue(value) {
+  if (isEmptyFieldValue(value)) {
+    return '(empty)';
+  }
+
+  const text = String(value).replace(/\s+/g, ' ');
+  return text.length > VALUE_COLUMN_WIDTH
+    ? `${text.substring(0, VALUE_COLUMN_WIDTH - 3)}...`
+    : text;
+}
 
 export class EntryConflictResolver {
-  constructor(logger, dryRun = false) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {boolean} dryRun - Preview mode
+   * @param {string} strategy - Answer every conflict without prompting
+   *   (update, skip, merge or fail), optional
+   */
+  constructor(logger, dryRun = false, strategy = null) {
+    validateConflictStrategy(strategy);
     this.logger = logger;
     this.dryRun = dryRun;
+    this.strategy = strategy;
     this.globalAction = null; // Store global decision (update_all or skip_all)
   }
 
-  async resolveConflict(sourceEntry, targetEntry, entryIdentifier) {
+  /**
+   * @param {Array} differences - Differing fields to show, defaults to
+   *   diffEntryFields of the two entries
+   */
+  async resolveConflict(
+    sourceEntry,
+    targetEntry,
+    entryIdentifier,
+    differences = diffEntryFields(sourceEntry.fields, targetEntry.fields)
+  ) {
+    // A strategy answers every conflict; fail is checked before any write,
+    // so a conflict reaching it appeared during the copy
+    if (this.strategy === ENTRY_CONFLICT_STRATEGIES.FAIL) {
+      throw new Error(
+        `Entry ${entryIdentifier} already exists in the target store (--on-conflict fail)`
+      );
+    }
+    if (this.strategy) {
+      return STRATEGY_ACTIONS[this.strategy];
+    }
+
     // If we have a global decision, use it
     if (this.globalAction === ENTRY_CONFLICT_ACTIONS.UPDATE_ALL) {
       return ENTRY_CONFLICT_ACTIONS.UPDATE;
@@ -19,17 +195,14 @@ export class EntryConflictResolver {
     // In dry-run mode, default to update for preview
     if (this.dryRun) {
       this.logger.dryRunInfo(
-        `Would ask for conflict resolution: ${entryIdentifier}`
+        `Would ask for conflict resolution: ${entryIdentifier} (${differences.length} differing fields)`
       );
       return ENTRY_CONFLICT_ACTIONS.UPDATE;
     }
 
-    // Show conflict information
+    // Show only the fields that differ
     this.logger.warning(`\nConflict detected for entry: ${entryIdentifier}`);
-    this.logger.info('Source entry fields:');
-    this.logEntryFields(sourceEntry.fields, '  ');
-    this.logger.info('Target entry fields:');
-    this.logEntryFields(targetEntry.fields, '  ');
+    this.logFieldDifferences(differences, '  ');
 
     // Prompt user for action
     const action = await this.promptForAction();
@@ -48,14 +221,90 @@ export class EntryConflictResolver {
     return action;
   }
 
-  logEntryFields(fields, indent = '') {
-    for (const field of fields) {
-      const value = field.value ? field.value.substring(0, 100) : 'null';
-      const truncated = field.value && field.value.length > 100 ? '...' : '';
-      this.logger.info(`${indent}${field.key}: ${value}${truncated}`);
+  /**
+   * Show differing fields side by side: target value, then source value
+   */
+  logFieldDifferences(differences, indent = '') {
+    const keyWidth = Math.max(
+      'Field'.length,
+      ...differences.map((difference) => difference.key.length)
+    );
+    const row = (key, target, source) =>
+      `${indent}${key.padEnd(keyWidth)}  ${target.padEnd(
+        VALUE_COLUMN_WIDTH
+      )}  ${source}`;
+
+    this.logger.info(row('Field', 'Target (current)', 'Source (new)'));
+    for (const difference of differences) {
+      this.logger.info(
+        row(
+          difference.key,
+          formatFieldValue(difference.target),
+          formatFieldValue(difference.source)
+        )
+      );
     }
   }
 
+  /**
+   * Ask, field by field, whether to keep the target value or take the
+   * source value
+   * @param {Array} differences - Differing fields from diffEntryFields
+   * @returns {Array} - Keys of the fields to take from the source
+   */
+  async selectFields(differences) {
+    const selected = [];
+
+    for (const difference of differences) {
+      this.logger.info(
+        `\n${difference.key}:\n` +
+          `  Target: ${formatFieldValue(difference.target)}\n` +
+          `  Source: ${formatFieldValue(difference.source)}`
+      );
+
+      const choice = await this.ask('Keep [t]arget or take [s]ource value? ', [
+        't',
+        'target',
+        's',
+        'source',
+      ]);
+      if (choice.startsWith('s')) {
+        selected.push(difference.key);
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Ask a question until one of the accepted answers is given
+   * @returns {string} - Lowercased answer
+   */
+  async ask(question, answers) {
+    const readline = await import('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    return new Promise((resolve) => {
+      const prompt = () => {
+        rl.question(question, (answer) => {
+          const choice = answer.toLowerCase().trim();
+          if (answers.includes(choice)) {
+            rl.close();
+            resolve(choice);
+          } else {
+            console.log('Invalid choice. Please try again.');
+            prompt();
+          }
+        });
+      };
+
+      prompt();
+    });
+  }
+
   async promptForAction() {
     const readline = await import('readline');
     const rl = readline.createInterface({
@@ -71,6 +320,7 @@ export class EntryConflictResolver {
             '  [S]kip - Keep target entry unchanged\n' +
             '  [A]ll Update - Update this and all future conflicts\n' +
             '  [N]ever Update - Skip this and all future conflicts\n' +
+            '  [F]ield by field - Choose target or source value per field\n' +
             '  [Q]uit - Stop operation\n' +
             'Choice: ',
           (answer) => {
@@ -99,6 +349,11 @@ export class EntryConflictResolver {
                 rl.close();
                 resolve(ENTRY_CONFLICT_ACTIONS.SKIP_ALL);
                 break;
+              case 'f':
+              case 'field':
+                rl.close();
+                resolve(ENTRY_CONFLICT_ACTIONS.SELECT_FIELDS);
+                break;
               case 'q':
               case 'quit':
                 rl.close();
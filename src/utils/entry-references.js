@@ -0,0 +1,298 @@
+/**
+ * Entry reference mapping
+ * Translates the store IDs held by reference fields of metaobject entries into
+ * natural keys on the source store (metaobject type and handle, product,
+ * collection and page handle, variant SKU, file URL) and resolves those keys
+ * to IDs on the target store
+ */
+
+import { metaobjectEntryReference } from './snapshot.js';
+import { FILE_CONTENT_TYPES, getFileUrl } from './file-copy.js';
+
+// Entry field types whose values hold store IDs (list.* variants included)
+export const REFERENCE_FIELD_TYPES = [
+  'metaobject_reference',
+  'mixed_reference',
+  'product_reference',
+  'collection_reference',
+  'page_reference',
+  'variant_reference',
+  'file_reference',
+];
+
+// nodes() accepts at most 250 IDs per query
+const NODES_BATCH_SIZE = 250;
+
+const GID_PATTERN = /^gid:\/\/shopify\/(\w+)\/\d+/;
+
+// Natural key reference for a node, by the resource named in its GID
+const NATURAL_KEYS = {
+  Metaobject: (node) =>
+    node.type && node.handle
+      ? metaobjectEntryReference(node.type, node.handle)
+      : null,
+  Product: (node) => (node.handle ? `product:${node.handle}` : null),
+  Collection: (node) => (node.handle ? `collection:${node.handle}` : null),
+  Page: (node) => (node.handle ? `page:${node.handle}` : null),
+  ProductVariant: (node) => (node.sku ? `variant:${node.sku}` : null),
+};
+
+// Files have no handle; their source URL identifies them
+for (const kind of Object.keys(FILE_CONTENT_TYPES)) {
+  NATURAL_KEYS[kind] = (node) =>
+    getFileUrl(node) ? `file:${getFileUrl(node)}` : null;
+}
+
+/**
+ * Whether an entry field holds store IDs
+ */
+export function isReferenceField(field) {
+  return REFERENCE_FIELD_TYPES.includes(field.type?.replace(/^list\./, ''));
+}
+
+/**
+ * Values held by a reference field: a single ID or a JSON list of IDs
+ */
+function parseReferenceValue(field) {
+  if (field.value === null || field.value === undefined || field.value === '') {
+    return [];
+  }
+
+  if (!field.type.startsWith('list.')) {
+    return [field.value];
+  }
+
+  try {
+    const values = JSON.parse(field.value);
+    return Array.isArray(values) ? values : [];
+  } catch {
+    return [];
+  }
+}
+
+export class EntryReferenceMapper {
+  /**
+   * @param {Object} sourceClient - Client of the source store (ShopifyClient or SnapshotClient), optional
+   * @param {Object} targetClient - Client of the target store
+   * @param {Object} logger - Logger instance
+   * @param {FileCopier} fileCopier - Copies referenced files to the target
+   *   store, optional; without it file references are left out
+   */
+  constructor(sourceClient, targetClient, logger, fileCopier = null) {
+    this.sourceClient = sourceClient;
+    this.targetClient = targetClient;
+    this.logger = logger;
+    this.fileCopier = fileCopier;
+    this.sourceReferences = new Map(); // source ID -> natural key reference
+    this.sourceFiles = new Map(); // file reference -> { url, alt, contentType }
+    this.targetIds = new Map(); // natural key reference -> target ID or null
+  }
+
+  /**
+   * Look up the natural keys of every ID held by the entries' reference fields
+   * @param {Array} entries - Source entries about to be copied
+   */
+  async load(entries) {
+    // Entries being copied are known without a lookup
+    for (const entry of entries) {
+      this.sourceReferences.set(
+        entry.id,
+        metaobjectEntryReference(entry.type, entry.handle)
+      );
+    }
+
+    const ids = new Set();
+    for (const entry of entries) {
+      for (const field of (entry.fields || []).filter(isReferenceField)) {
+        parseReferenceValue(field)
+          .filter((value) => GID_PATTERN.test(value))
+          .filter((value) => !this.sourceReferences.has(value))
+          .forEach((value) => ids.add(value));
+      }
+    }
+
+    if (ids.size === 0 || !this.sourceClient) {
+      return;
+    }
+
+    const pending = [...ids];
+    for (let i = 0; i < pending.length; i += NODES_BATCH_SIZE) {
+      const batch = pending.slice(i, i + NODES_BATCH_SIZE);
+      const response = await this.sourceClient.getNodes(batch);
+
+      (response.nodes || []).forEach((node, index) => {
+        const kind = batch[index].match(GID_PATTERN)[1];
+        const reference = node && NATURAL_KEYS[kind]?.(node);
+        if (reference) {
+          this.sourceReferences.set(batch[index], reference);
+        }
+        if (reference && FILE_CONTENT_TYPES[kind]) {
+          this.sourceFiles.set(reference, {
+            url: getFileUrl(node),
+            alt: node.alt || null,
+            contentType: FILE_CONTENT_TYPES[kind],
+          });
+        }
+      });
+    }
+
+    this.logger.verbose(
+      `Looked up ${ids.size} referenced records in the source store`
+    );
+  }
+
+  /**
+   * Natural key reference for a source value, or null when it is unknown.
+   * Snapshot values already hold natural keys instead of store IDs.
+   */
+  toReference(value) {
+    if (this.sourceReferences.has(value)) {
+      return this.sourceReferences.get(value);
+    }
+    return GID_PATTERN.test(value) ? null : value;
+  }
+
+  /**
+   * Remember the target ID of an entry written during the copy
+   */
+  register(reference, id) {
+    this.targetIds.set(reference, id);
+  }
+
+  /**
+   * Target ID for a natural key reference, looked up once and cached
+   */
+  async findTargetId(reference) {
+    if (!this.targetIds.has(reference)) {
+      this.targetIds.set(reference, await this.lookupTargetId(reference));
+    }
+    return this.targetIds.get(reference);
+  }
+
+  async lookupTargetId(reference) {
+    const separator = reference.indexOf(':');
+    const kind = reference.slice(0, separator);
+    const key = reference.slice(separator + 1);
+
+    switch (kind) {
+      case 'metaobject': {
+        const slash = key.indexOf('/');
+        const response = await this.targetClient.getMetaobjectByHandle(
+          key.slice(0, slash),
+          key.slice(slash + 1)
+        );
+        return response.metaobjectByHandle?.id || null;
+      }
+      case 'product': {
+        const response = await this.targetClient.getProductByHandle(key);
+        return response.productByIdentifier?.id || null;
+      }
+      case 'collection': {
+        const response = await this.targetClient.getCollectionByHandle(key);
+        return response.collectionByIdentifier?.id || null;
+      }
+      case 'page': {
+        const response = await this.targetClient.getPagesByHandle(key);
+        return (
+          response.pages.edges
+            .map((edge) => edge.node)
+            .find((page) => page.handle === key)?.id || null
+        );
+      }
+      case 'variant': {
+        const response = await this.targetClient.getProductVariantsBySku(key);
+        const matches = response.productVariants.edges
+          .map((edge) => edge.node)
+          .filter((variant) => variant.sku === key);
+        if (matches.length > 1) {
+          this.logger.warning(
+            `SKU ${key} matches ${matches.length} variants in the target store`
+          );
+          return null;
+        }
+        return matches[0]?.id || null;
+      }
+      case 'file': {
+        const file = this.sourceFiles.get(reference);
+        if (!this.fileCopier || !file) {
+          return null;
+        }
+        try {
+          return await this.fileCopier.copy(file);
+        } catch (error) {
+          this.logger.warning(`Could not copy file ${key}: ${error.message}`);
+          return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build the target field values of a source entry
+   * @param {Object} entry - Source entry
+   * @param {Function} isPending - Whether a reference points to an entry that
+   *   is still to be copied
+   * @returns {Object} - { fields, pending, unresolved }: fields hold target IDs
+   *   and leave out references that are pending or cannot be resolved; a
+   *   single reference field without a target ID is left out entirely
+   */
+  async mapFields(entry, isPending = () => false) {
+    const fields = [];
+    const pending = [];
+    const unresolved = [];
+
+    for (const field of entry.fields || []) {
+      if (!isReferenceField(field)) {
+        fields.push({ key: field.key, value: field.value });
+        continue;
+      }
+
+      const values = parseReferenceValue(field);
+      if (values.length === 0) {
+        fields.push({ key: field.key, value: field.value });
+        continue;
+      }
+
+      const ids = [];
+      for (const value of values) {
+        const reference = this.toReference(value);
+        if (!reference) {
+          unresolved.push({
+            field: field.key,
+            reference: value,
+            reason: 'not found in the source store',
+          });
+          continue;
+        }
+
+        if (isPending(reference)) {
+          pending.push({ field: field.key, reference });
+          continue;
+        }
+
+        const id = await this.findTargetId(reference);
+        if (!id) {
+          unresolved.push({
+            field: field.key,
+            reference,
+            reason: reference.startsWith('file:')
+              ? 'could not be copied to the target store'
+              : 'not found in the target store',
+          });
+          continue;
+        }
+        ids.push(id);
+      }
+
+      if (field.type.startsWith('list.')) {
+        fields.push({ key: field.key, value: JSON.stringify(ids) });
+      } else if (ids.length > 0) {
+        fields.push({ key: field.key, value: ids[0] });
+      }
+    }
+
+    return { fields, pending, unresolved };
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * File copying for file references of metaobject entries
+ * Files live in the store they were uploaded to, so an entry pointing at a
+ * source file gets a copy of that file in the target store: an existing file
+ * with the same filename or content is reused, anything else is downloaded
+ * from the source and uploaded through a staged upload
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { DEFAULT_CACHE_DIR } from './constants.js';
+
+const CACHE_FILE = 'files.json';
+
+// Content type of each file kind, as expected by fileCreate and stagedUploadsCreate
+export const FILE_CONTENT_TYPES = {
+  MediaImage: 'IMAGE',
+  GenericFile: 'FILE',
+  Video: 'VIDEO',
+};
+
+const MIME_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.mov': 'video/quicktime',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+/**
+ * URL of a file node from FRAGMENTS.FILE_NODE or REFERENCE_NODE
+ */
+export function getFileUrl(node) {
+  return node?.image?.url || node?.url || node?.originalSource?.url || null;
+}
+
+/**
+ * Filename of a file URL, without the CDN query string
+ */
+export function getFilename(url) {
+  return decodeURIComponent(basename(new URL(url).pathname));
+}
+
+function guessMimeType(filename) {
+  return (
+    MIME_TYPES[extname(filename).toLowerCase()] || 'application/octet-stream'
+  );
+}
+
+/**
+ * Default download step: fetch the file over HTTP
+ * @param {string} url - Source file URL
+ * @returns {Object} - { data, mimeType }
+ */
+export async function httpDownload(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Download of ${url} failed: HTTP ${response.status}`);
+  }
+
+  return {
+    data: Buffer.from(await response.arrayBuffer()),
+    mimeType:
+      response.headers.get('content-type')?.split(';')[0] ||
+      guessMimeType(getFilename(url)),
+  };
+}
+
+/**
+ * Download step serving files from a local directory by filename, for
+ * tests and offline copies
+ * @param {string} dir - Directory holding the source files
+ */
+export function directoryDownload(dir) {
+  return async (url) => {
+    const filename = getFilename(url);
+    return {
+      data: readFileSync(join(dir, filename)),
+      mimeType: guessMimeType(filename),
+    };
+  };
+}
+
+/**
+ * Default upload step: post the file to a stagedUploadsCreate target
+ * @param {Object} target - { url, parameters }
+ * @param {Object} file - { data, filename, mimeType }
+ */
+export async function httpUpload(target, file) {
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append(
+    'file',
+    new Blob([file.data], { type: file.mimeType }),
+    file.filename
+  );
+
+  const response = await fetch(target.url, { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(
+      `Upload of ${file.filename} failed: HTTP ${response.status}`
+    );
+  }
+}
+
+/**
+ * Target file IDs by source URL and content checksum, kept per target store
+ * so the same file is not uploaded again on later runs. An unreadable cache
+ * file only costs lookups, so it is replaced by an empty cache.
+ */
+export class FileCache {
+  constructor(filePath, store, logger = null) {
+    this.filePath = filePath;
+    this.store = store;
+    this.data = {};
+
+    if (existsSync(filePath)) {
+      try {
+        this.data = JSON.parse(readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        logger?.warning(
+          `Ignoring unreadable file cache ${filePath}, starting empty: ${error.message}`
+        );
+      }
+    }
+  }
+
+  static open(store, dir = DEFAULT_CACHE_DIR, logger = null) {
+    return new FileCache(join(dir, CACHE_FILE), store, logger);
+  }
+
+  get(key) {
+    return this.data[this.store]?.[key] || null;
+  }
+
+  set(key, id) {
+    this.data[this.store] = { ...this.data[this.store], [key]: id };
+  }
+
+  delete(key) {
+    delete this.data[this.store]?.[key];
+  }
+
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+}
+
+export class FileCopier {
+  /**
+   * @param {Object} client - Client of the target store
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - { cache, download, upload, dryRun }; download
+   *   and upload default to httpDownload and httpUpload
+   */
+  constructor(client, logger, options = {}) {
+    this.client = client;
+    this.logger = logger;
+    this.cache = options.cache || null;
+    this.download = options.download || httpDownload;
+    this.upload = options.upload || httpUpload;
+    this.dryRun = options.dryRun || false;
+    this.uploaded = [];
+    this.reused = [];
+  }
+
+  /**
+   * Target file ID for a source file, uploading the file when the target
+   * store has no copy of it yet
+   * @param {Object} file - { url, alt, contentType } of the source file
+   * @returns {string} - Target file ID (the source URL on dry runs that
+   *   would upload)
+   */
+  async copy(file) {
+    const filename = getFilename(file.url);
+    const urlKey = `url:${file.url}`;
+
+    const cachedId = await this.findCached(urlKey);
+    if (cachedId) {
+      return this.reuse(filename, cachedId);
+    }
+
+    const existing = await this.findByFilename(filename);
+    if (existing) {
+      this.remember([urlKey], existing.id);
+      return this.reuse(filename, existing.id);
+    }
+
+    if (this.dryRun) {
+      this.logger.dryRunInfo(`Would upload file ${filename}`);
+      this.uploaded.push(filename);
+      return file.url;
+    }
+
+    const { data, mimeType } = await this.download(file.url);
+    const checksumKey = `sha256:${createHash('sha256')
+      .update(data)
+      .digest('hex')}`;
+
+    const sameContentId = await this.findCached(checksumKey);
+    if (sameContentId) {
+      this.remember([urlKey], sameContentId);
+      return this.reuse(filename, sameContentId);
+    }
+
+    const id = await this.uploadFile(file, { data, filename, mimeType });
+    this.remember([urlKey, checksumKey], id);
+    this.uploaded.push(filename);
+    this.logger.verbose(`Uploaded file ${filename} to the target store`);
+
+    return id;
+  }
+
+  reuse(filename, id) {
+    this.reused.push(filename);
+    this.logger.verbose(`Reusing file ${filename} in the target store`);
+    return id;
+  }
+
+  /**
+   * Cached target file ID, dropped from the cache once the file is gone
+   */
+  async findCached(key) {
+    const id = this.cache?.get(key);
+    if (!id) {
+      return null;
+    }
+
+    const response = await this.client.getNodes([id]);
+    if (response.nodes?.[0]) {
+      return id;
+    }
+
+    this.cache.delete(key);
+    return null;
+  }
+
+  /**
+   * Ready target file with the same filename; files still processing or
+   * failed in the target store are not reused
+   */
+  async findByFilename(filename) {
+    const response = await this.client.getFilesByFilename(filename);
+    return (
+      response.files.edges
+        .map((edge) => edge.node)
+        .filter((node) => node.fileStatus === 'READY')
+        .find((node) => {
+          const url = getFileUrl(node);
+          return url && getFilename(url) === filename;
+        }) || null
+    );
+  }
+
+  remember(keys, id) {
+    if (!this.cache || this.dryRun) {
+      return;
+    }
+    keys.forEach((key) => this.cache.set(key, id));
+    this.cache.save();
+  }
+
+  async uploadFile(file, { data, filename, mimeType }) {
+    const staged = await this.client.createStagedUploads([
+      {
+        filename,
+        mimeType,
+        resource: file.contentType,
+        fileSize: String(data.length),
+        httpMethod: 'POST',
+      },
+    ]);
+    if (!staged.success) {
+      throw new Error(
+        `Staged upload of ${filename} failed: ${staged.errors
+          .map((error) => error.message)
+          .join(', ')}`
+      );
+    }
+
+    const [target] = staged.data;
+    await this.upload(target, { data, filename, mimeType });
+
+    const created = await this.client.createFiles([
+      {
+        originalSource: target.resourceUrl,
+        contentType: file.contentType,
+        filename,
+        ...(file.alt ? { alt: file.alt } : {}),
+      },
+    ]);
+    if (!created.success) {
+      throw new Error(
+        `Creating file ${filename} failed: ${created.errors
+          .map((error) => error.message)
+          .join(', ')}`
+      );
+    }
+
+    return created.data[0].id;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Portable store snapshots
+ * Captures complete definitions and entries in a file that can be committed
+ * to git: store-specific IDs are replaced by type/handle-based references
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { getMetafieldIdentity } from './definition-changes.js';
+import {
+  RESOURCE_TYPES,
+  filterDefinitionsByResourceType,
+} from './constants.js';
+
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+const STORE_GID_PATTERN =
+  /gid:\/\/shopify\/(?:MetaobjectDefinition|Metaobject|MetafieldDefinition)\/\d+/g;
+
+/**
+ * Reference used in place of a metaobject definition ID
+ */
+export function metaobjectDefinitionReference(type) {
+  return `metaobject_definition:${type}`;
+}
+
+/**
+ * Reference used in place of a metaobject entry ID
+ */
+export function metaobjectEntryReference(type, handle) {
+  return `metaobject:${type}/${handle}`;
+}
+
+/**
+ * Reference used in place of a metafield definition ID
+ */
+export function metafieldDefinitionReference(def) {
+  return `metafield_definition:${getMetafieldIdentity(def)}`;
+}
+
+const ENTRY_REFERENCE_PATTERN = /metaobject:[^"\s,\]\/]+\/[^"\s,\]]+/g;
+
+/**
+ * Resolve metaobject entry references in a field value to target IDs
+ * @param {string} value - Field value possibly holding metaobject:<type>/<handle> references
+ * @param {Map} referenceToId - Entry reference to target entry ID
+ * @returns {Object} - { value, unresolved } with unresolved references listed
+ */
+export function resolveEntryReferences(value, referenceToId) {
+  const unresolved = [];
+
+  if (typeof value !== 'string') {
+    return { value, unresolved };
+  }
+
+  const resolved = value.replace(ENTRY_REFERENCE_PATTERN, (reference) => {
+    const id = referenceToId.get(reference);
+    if (!id) {
+      unresolved.push(reference);
+      return reference;
+    }
+    return id;
+  });
+
+  return { value: resolved, unresolved };
+}
+
+/**
+ * Deep-copy a value, replacing every known store GID inside strings
+ */
+function replaceStoreIds(value, idToReference) {
+  if (typeof value === 'string') {
+    return value.replace(
+      STORE_GID_PATTERN,
+      (gid) => idToReference.get(gid) || gid
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => replaceStoreIds(item, idToReference));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [
+        key,
+        replaceStoreIds(nested, idToReference),
+      ])
+    );
+  }
+
+  return value;
+}
+
+export class Snapshot {
+  /**
+   * Build a snapshot from fetched definitions (metaobjects carrying entries)
+   * @param {Object} definitions - { metafields, metaobjects }
+   * @param {Object} meta - { store, apiVersion, resources }
+   * @returns {Object} - Snapshot document
+   */
+  static fromDefinitions(definitions, meta = {}) {
+    // References are collected before resource filtering so metafield
+    // validations still resolve when only metafields are exported
+    const idToReference = new Map();
+
+    for (const def of definitions.metafields || []) {
+      idToReference.set(def.id, metafieldDefinitionReference(def));
+    }
+    for (const def of definitions.metaobjects || []) {
+      idToReference.set(def.id, metaobjectDefinitionReference(def.type));
+      for (const entry of def.entries || []) {
+        idToReference.set(
+          entry.id,
+          metaobjectEntryReference(entry.type, entry.handle)
+        );
+      }
+    }
+
+    const selected = filterDefinitionsByResourceType(
+      definitions,
+      meta.resources || RESOURCE_TYPES.BOTH
+    );
+
+    const metafields = selected.metafields
+      .map((def) => replaceStoreIds(def, idToReference))
+      .sort((a, b) =>
+        getMetafieldIdentity(a).localeCompare(getMetafieldIdentity(b))
+      );
+
+    const metaobjects = selected.metaobjects
+      .map((def) => {
+        // Entry counts are derived from the entries themselves
+        const { entriesCount, entries = [], ...definition } = def;
+        return {
+          ...replaceStoreIds(definition, idToReference),
+          entries: entries
+            .map((entry) => replaceStoreIds(entry, idToReference))
+            .sort((a, b) => a.handle.localeCompare(b.handle)),
+        };
+      })
+      .sort((a, b) => a.type.localeCompare(b.type));
+
+    return {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      apiVersion: meta.apiVersion || null,
+      store: meta.store || null,
+      createdAt: new Date().toISOString(),
+      counts: {
+        metafields: metafields.length,
+        metaobjects: metaobjects.length,
+        entries: metaobjects.reduce((sum, def) => sum + def.entries.length, 0),
+      },
+      metafields,
+      metaobjects,
+    };
+  }
+
+  static write(filePath, snapshot) {
+    writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+  }
+
+  static read(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Snapshot file not found: ${filePath}`);
+    }
+
+    const snapshot = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    if (snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported snapshot schema version: ${snapshot.schemaVersion} (expected ${SNAPSHOT_SCHEMA_VERSION})`
+      );
+    }
+    if (
+      !Array.isArray(snapshot.metafields) ||
+      !Array.isArray(snapshot.metaobjects)
+    ) {
+      throw new Error(`Invalid snapshot file: ${filePath}`);
+    }
+
+    return snapshot;
+  }
+}
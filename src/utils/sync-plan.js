@@ -0,0 +1,105 @@
+/**
+ * Saved sync plans for the plan/apply workflow
+ * A plan is the exact ordered list of definition operations (with their
+ * GraphQL inputs) computed against a target store, plus a fingerprint of
+ * that store's definitions so apply can refuse to run on a stale plan
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { getMetafieldIdentity } from './definition-changes.js';
+
+export const SYNC_PLAN_VERSION = 1;
+
+// Placeholder for the ID of a metaobject definition created earlier in the
+// same plan; resolved to the real ID when the plan is applied
+export const PLAN_REFERENCE_PREFIX = 'meta-sync:metaobject-definition:';
+
+export class SyncPlan {
+  /**
+   * Fingerprint a store's definitions so changes can be detected later
+   * @param {Object} definitions - { metafields, metaobjects }
+   * @returns {string} - sha256 hex digest
+   */
+  static fingerprint(definitions) {
+    const metafields = [...(definitions.metafields || [])].sort((a, b) =>
+      getMetafieldIdentity(a).localeCompare(getMetafieldIdentity(b))
+    );
+    const metaobjects = [...(definitions.metaobjects || [])].sort((a, b) =>
+      a.type.localeCompare(b.type)
+    );
+
+    return createHash('sha256')
+      .update(JSON.stringify({ metafields, metaobjects }))
+      .digest('hex');
+  }
+
+  /**
+   * Placeholder reference for a metaobject definition created by the plan
+   */
+  static referenceFor(type) {
+    return `${PLAN_REFERENCE_PREFIX}${type}`;
+  }
+
+  /**
+   * Replace plan placeholders in an operation input with real IDs
+   * @param {*} input - Operation input (any JSON value)
+   * @param {Map} typeToId - Metaobject type to target definition ID
+   * @returns {*} - Input with every placeholder resolved
+   */
+  static resolveReferences(input, typeToId) {
+    const replace = (value) => {
+      if (typeof value === 'string') {
+        return value.replace(
+          new RegExp(`${PLAN_REFERENCE_PREFIX}([^"\\s,\\]]+)`, 'g'),
+          (placeholder, type) => {
+            const id = typeToId.get(type);
+            if (!id) {
+              throw new Error(
+                `Cannot resolve reference to metaobject definition '${type}': it was not created`
+              );
+            }
+            return id;
+          }
+        );
+      }
+
+      if (Array.isArray(value)) {
+        return value.map(replace);
+      }
+
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([key, nested]) => [key, replace(nested)])
+        );
+      }
+
+      return value;
+    };
+
+    return replace(input);
+  }
+
+  static write(filePath, plan) {
+    writeFileSync(filePath, JSON.stringify(plan, null, 2) + '\n');
+  }
+
+  static read(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Plan file not found: ${filePath}`);
+    }
+
+    const plan = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    if (plan.version !== SYNC_PLAN_VERSION) {
+      throw new Error(
+        `Unsupported plan version: ${plan.version} (expected ${SYNC_PLAN_VERSION})`
+      );
+    }
+    if (!Array.isArray(plan.operations) || !plan.target?.fingerprint) {
+      throw new Error(`Invalid plan file: ${filePath}`);
+    }
+
+    return plan;
+  }
+}
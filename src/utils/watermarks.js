@@ -0,0 +1,78 @@
+/**
+ * Entry sync watermarks
+ * For each source and target store pair, the latest updatedAt of the source
+ * entries of each metaobject type copied without errors, so incremental
+ * copies only fetch entries updated since
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { DEFAULT_CACHE_DIR } from './constants.js';
+
+const WATERMARKS_FILE = 'watermarks.json';
+
+/**
+ * An unreadable watermarks file is replaced by an empty one, so the next
+ * incremental copy is a full sync
+ */
+export class Watermarks {
+  constructor(filePath, source, target, logger = null) {
+    this.filePath = filePath;
+    this.pair = `${source} -> ${target}`;
+    this.data = {};
+
+    if (existsSync(filePath)) {
+      try {
+        this.data = JSON.parse(readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        logger?.warning(
+          `Ignoring unreadable watermarks ${filePath}, copying all entries: ${error.message}`
+        );
+      }
+    }
+  }
+
+  static open(source, target, dir = DEFAULT_CACHE_DIR, logger = null) {
+    return new Watermarks(join(dir, WATERMARKS_FILE), source, target, logger);
+  }
+
+  /**
+   * Watermark of a metaobject type, or null before its first recorded sync
+   */
+  get(type) {
+    return this.data[this.pair]?.[type] || null;
+  }
+
+  /**
+   * Advance the watermark of a type to the latest updatedAt of its entries,
+   * but no further than the start of their fetch: an entry paged early and
+   * edited while later pages were read is older than the newest entry seen
+   * @param {string} type - Metaobject type
+   * @param {Array} entries - Source entries copied without errors
+   * @param {string} fetchedSince - When the fetch of the entries started
+   */
+  advance(type, entries, fetchedSince = null) {
+    const newest = entries
+      .map((entry) => entry.updatedAt)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    const latest =
+      newest && fetchedSince && fetchedSince < newest ? fetchedSince : newest;
+    if (latest && latest > (this.get(type) || '')) {
+      this.data[this.pair] = { ...this.data[this.pair], [type]: latest };
+    }
+  }
+
+  /**
+   * Forget the watermark of a type, so it is rebuilt from a full sync
+   */
+  reset(type) {
+    delete this.data[this.pair]?.[type];
+  }
+
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+}
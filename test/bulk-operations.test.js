@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { BulkOperationRunner } from '../src/shopify/bulk-operations.js';
+
+const logger = { verbose() {} };
+
+const OPERATION_ID = 'gid://shopify/BulkOperation/1';
+const RESULT_URL = 'https://storage.example.com/result.jsonl';
+
+/**
+ * Store client whose bulk operation goes through the given statuses, one
+ * per poll
+ */
+function createClient(statuses, { url = RESULT_URL, errorCode = null } = {}) {
+  const client = {
+    polls: 0,
+    staged: [],
+    async runBulkQuery(query) {
+      client.query = query;
+      return { success: true, data: { id: OPERATION_ID } };
+    },
+    async runBulkMutation(mutation, stagedUploadPath) {
+      client.stagedUploadPath = stagedUploadPath;
+      return { success: true, data: { id: OPERATION_ID } };
+    },
+    async createStagedUploads(inputs) {
+      client.staged.push(...inputs);
+      return {
+        success: true,
+        data: [
+          {
+            url: 'https://uploads.example.com',
+            parameters: [
+              { name: 'key', value: 'tmp/bulk/bulk-variables.jsonl' },
+            ],
+          },
+        ],
+      };
+    },
+    async getCurrentBulkOperation() {
+      const status = statuses[Math.min(client.polls, statuses.length - 1)];
+      client.polls++;
+      return {
+        currentBulkOperation: {
+          id: OPERATION_ID,
+          status,
+          errorCode,
+          objectCount: String(client.polls),
+          url: status === 'COMPLETED' ? url : null,
+        },
+      };
+    },
+  };
+  return client;
+}
+
+function createRunner(client, lines = [], options = {}) {
+  const sleeps = [];
+  const downloads = [];
+  const runner = new BulkOperationRunner(client, logger, {
+    download: async (url) => {
+      downloads.push(url);
+      return Readable.from(lines);
+    },
+    sleep: async (ms) => sleeps.push(ms),
+    pollIntervalMs: 10,
+    ...options,
+  });
+  return { runner, sleeps, downloads };
+}
+
+async function collect(iterator) {
+  const objects = [];
+  for await (const object of iterator) {
+    objects.push(object);
+  }
+  return objects;
+}
+
+test('polls a bulk query until it completes and streams its result', async () => {
+  const client = createClient(['CREATED', 'RUNNING', 'COMPLETED']);
+  const { runner, sleeps, downloads } = createRunner(client, [
+    '{"id":"gid://shopify/Metaobject/1"}\n',
+    '\n{"id":"gid://shopify/Metaobject/2"}\n',
+  ]);
+
+  const objects = await collect(runner.runQuery('{ metaobjects { id } }'));
+
+  assert.deepEqual(
+    objects.map((object) => object.id),
+    ['gid://shopify/Metaobject/1', 'gid://shopify/Metaobject/2']
+  );
+  assert.equal(client.polls, 3);
+  assert.deepEqual(sleeps, [10, 10]);
+  assert.deepEqual(downloads, [RESULT_URL]);
+});
+
+test('yields nothing when a completed operation has no result', async () => {
+  const client = createClient(['COMPLETED'], { url: null });
+  const { runner, downloads } = createRunner(client);
+
+  assert.deepEqual(await collect(runner.runQuery('{ metaobjects }')), []);
+  assert.deepEqual(downloads, []);
+});
+
+test('fails when the bulk operation fails', async () => {
+  const client = createClient(['RUNNING', 'FAILED'], {
+    errorCode: 'INTERNAL_SERVER_ERROR',
+  });
+  const { runner } = createRunner(client);
+
+  await assert.rejects(
+    collect(runner.runQuery('{ metaobjects }')),
+    /failed: INTERNAL_SERVER_ERROR/
+  );
+});
+
+test('fails when the bulk operation does not finish in time', async () => {
+  const client = createClient(['RUNNING']);
+  const { runner } = createRunner(client, [], { timeoutMs: -1 });
+
+  await assert.rejects(
+    collect(runner.runQuery('{ metaobjects }')),
+    /did not finish within/
+  );
+});
+
+test('uploads mutation variables as JSONL and runs the mutation', async () => {
+  const client = createClient(['COMPLETED']);
+  const uploads = [];
+  const { runner } = createRunner(
+    client,
+    ['{"data":{"id":1},"__lineNumber":0}\n'],
+    { upload: async (target, file) => uploads.push(file) }
+  );
+
+  const results = await collect(
+    runner.runMutation('mutation { upsert }', [
+      { handle: 'a' },
+      { handle: 'b' },
+    ])
+  );
+
+  assert.equal(client.staged[0].resource, 'BULK_MUTATION_VARIABLES');
+  assert.equal(uploads[0].data.toString(), '{"handle":"a"}\n{"handle":"b"}');
+  assert.equal(client.stagedUploadPath, 'tmp/bulk/bulk-variables.jsonl');
+  assert.deepEqual(results, [{ data: { id: 1 }, __lineNumber: 0 }]);
+});
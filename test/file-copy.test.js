@@ -0,0 +1,155 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  directoryDownload,
+  FileCache,
+  FileCopier,
+} from '../src/utils/file-copy.js';
+
+const logger = { verbose() {}, warning() {}, dryRunInfo() {} };
+
+/**
+ * Target store client keeping created files in memory
+ */
+function createClient({ files = [] } = {}) {
+  const client = {
+    files: new Map(),
+    uploads: 0,
+    async getNodes(ids) {
+      return { nodes: ids.map((id) => client.files.get(id) || null) };
+    },
+    async getFilesByFilename() {
+      return { files: { edges: files.map((node) => ({ node })) } };
+    },
+    async createStagedUploads([input]) {
+      return {
+        success: true,
+        data: [
+          {
+            url: 'https://uploads.example.com',
+            resourceUrl: `https://uploads.example.com/${input.filename}`,
+            parameters: [],
+          },
+        ],
+      };
+    },
+    async createFiles([input]) {
+      client.uploads++;
+      const id = `gid://shopify/MediaImage/${client.uploads}`;
+      client.files.set(id, { id, ...input });
+      return { success: true, data: [{ id }] };
+    },
+  };
+  return client;
+}
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true })));
+
+function createSourceDir(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'meta-sync-files-'));
+  dirs.push(dir);
+  for (const [filename, content] of Object.entries(files)) {
+    writeFileSync(join(dir, filename), content);
+  }
+  return dir;
+}
+
+function createCopier(client, dir, cache) {
+  const uploads = [];
+  const copier = new FileCopier(client, logger, {
+    cache,
+    download: directoryDownload(dir),
+    upload: async (target, file) => uploads.push(file),
+  });
+  return { copier, uploads };
+}
+
+const file = (name) => ({
+  url: `https://cdn.shopify.com/files/${name}?v=1`,
+  contentType: 'IMAGE',
+});
+
+test('uploads a file once and reuses it by URL', async () => {
+  const dir = createSourceDir({ 'logo.png': 'logo' });
+  const cache = FileCache.open('target', dir);
+  const client = createClient();
+  const { copier, uploads } = createCopier(client, dir, cache);
+
+  const id = await copier.copy(file('logo.png'));
+  assert.equal(await copier.copy(file('logo.png')), id);
+
+  assert.equal(uploads.length, 1);
+  assert.equal(uploads[0].mimeType, 'image/png');
+  assert.equal(uploads[0].data.toString(), 'logo');
+  assert.deepEqual(copier.uploaded, ['logo.png']);
+  assert.deepEqual(copier.reused, ['logo.png']);
+});
+
+test('reuses a file with the same content under another URL', async () => {
+  const dir = createSourceDir({ 'a.png': 'same', 'b.png': 'same' });
+  const client = createClient();
+  const { copier, uploads } = createCopier(
+    client,
+    dir,
+    FileCache.open('target', dir)
+  );
+
+  const id = await copier.copy(file('a.png'));
+  assert.equal(await copier.copy(file('b.png')), id);
+  assert.equal(uploads.length, 1);
+});
+
+test('uploads again when a cached file is gone from the target', async () => {
+  const dir = createSourceDir({ 'logo.png': 'logo' });
+  const cache = FileCache.open('target', dir);
+  cache.set(`url:${file('logo.png').url}`, 'gid://shopify/MediaImage/deleted');
+  const client = createClient();
+  const { copier, uploads } = createCopier(client, dir, cache);
+
+  const id = await copier.copy(file('logo.png'));
+
+  assert.notEqual(id, 'gid://shopify/MediaImage/deleted');
+  assert.equal(uploads.length, 1);
+  assert.equal(cache.get(`url:${file('logo.png').url}`), id);
+});
+
+test('reuses only ready target files with the same filename', async () => {
+  const dir = createSourceDir({ 'logo.png': 'logo' });
+  const target = (id, fileStatus) => ({
+    id,
+    fileStatus,
+    image: { url: 'https://cdn.shopify.com/target/logo.png?v=2' },
+  });
+
+  const processing = createClient({
+    files: [target('gid://shopify/MediaImage/processing', 'PROCESSING')],
+  });
+  await createCopier(processing, dir, null).copier.copy(file('logo.png'));
+  assert.equal(processing.uploads, 1);
+
+  const ready = createClient({
+    files: [target('gid://shopify/MediaImage/ready', 'READY')],
+  });
+  const { copier, uploads } = createCopier(ready, dir, null);
+  assert.equal(
+    await copier.copy(file('logo.png')),
+    'gid://shopify/MediaImage/ready'
+  );
+  assert.equal(uploads.length, 0);
+});
+
+test('starts with an empty cache when the cache file is corrupt', () => {
+  const dir = createSourceDir({ 'files.json': '{"target": {' });
+  const warnings = [];
+
+  const cache = FileCache.open('target', dir, {
+    warning: (message) => warnings.push(message),
+  });
+
+  assert.deepEqual(cache.data, {});
+  assert.equal(warnings.length, 1);
+});